@@ -4,6 +4,8 @@ const dotenv = require('dotenv');
 const { ethers } = require('ethers');
 const { Pool } = require('pg');
 const fs = require('fs');
+const RateLimiter = require('./server/services/RateLimiter');
+const { PooledJsonRpcProvider, parseEndpointList } = require('./server/db/RpcProviderPool');
 
 dotenv.config();
 
@@ -18,8 +20,8 @@ const pool = new Pool({
     }
 });
 
-// Ethereum RPC Provider setup
-const provider = new ethers.JsonRpcProvider(process.env.RPC_HTTP_URL);
+// Ethereum RPC Provider setup (pooled so calls share the process-wide rate limiter), with the crawler's request timeout
+const provider = new PooledJsonRpcProvider(parseEndpointList(process.env.RPC_HTTP_URLS, process.env.RPC_HTTP_URL), 56, { timeout: 30000 });
 
 // Smart Contract setup
 const contractAddress = process.env.CONTRACT_ADDRESS;
@@ -32,8 +34,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API endpoint to get latest epoch and lock time from smart contract
 app.get('/api/round-info', async (req, res) => {
     try {
-        const currentEpoch = await contract.currentEpoch();
-        const roundData = await contract.rounds(currentEpoch);
+        const currentEpoch = await RateLimiter.execute(() => contract.currentEpoch(), { name: 'currentEpoch' });
+        const roundData = await RateLimiter.execute(() => contract.rounds(currentEpoch), { name: `rounds(${currentEpoch})` });
         const lockTime = roundData.lockTimestamp.toNumber() * 1000; // Convert to milliseconds
 
         res.json({
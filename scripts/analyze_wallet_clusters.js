@@ -0,0 +1,35 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const WalletClusterAnalyzer = require('../server/services/WalletClusterAnalyzer');
+const FailedEpochManager = require('../server/services/FailedEpochManager');
+
+// Usage: node scripts/analyze_wallet_clusters.js [fromEpoch] [toEpoch]
+// Without arguments the last CLUSTER_WINDOW_EPOCHS crawled epochs are analyzed, as the server does on its timer.
+async function analyzeWalletClusters() {
+    const [fromArg, toArg] = process.argv.slice(2);
+    const analyzer = new WalletClusterAnalyzer(ConnectionManager);
+
+    try {
+        const range = fromArg === undefined ? null : FailedEpochManager.parseEpochRange(fromArg, toArg);
+        await ConnectionManager.initializeDatabasePool();
+        if (range) {
+            await analyzer.analyzeRange(range.fromEpoch, range.toEpoch);
+        } else {
+            await analyzer.analyzeRecentEpochs();
+        }
+
+        const { run, clusters } = await analyzer.listClusters(20);
+        if (!run) return;
+        console.log(`📋 ${run.cluster_count} clusters from ${run.pair_count} pairs in epochs ${run.from_epoch}-${run.to_epoch}${clusters.length < run.cluster_count ? ' (largest 20)' : ''}:`);
+        console.table(clusters.map(cluster => ({ cluster: cluster.cluster_no, members: cluster.member_count, pairs: cluster.pair_count, score: cluster.avg_score, bets: cluster.bets, pnl: cluster.total_pnl })));
+    } catch (error) {
+        console.error('❌ Wallet cluster analysis failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+analyzeWalletClusters();
@@ -0,0 +1,58 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const HistoricalCrawler = require('../server/workers/historical-crawler');
+const DataAuditor = require('../server/services/DataAuditor');
+const FailedEpochManager = require('../server/services/FailedEpochManager');
+
+const USAGE = `Usage:
+  node scripts/audit_epochs.js run <fromEpoch> [toEpoch] [--requeue]
+  node scripts/audit_epochs.js list [OPEN|REQUEUED|RESOLVED] [limit]`;
+
+async function auditEpochs() {
+    const requeue = process.argv.includes('--requeue');
+    const [command, ...args] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    if (!['run', 'list'].includes(command)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const crawler = new HistoricalCrawler();
+    const auditor = new DataAuditor(crawler);
+
+    try {
+        if (command === 'list') {
+            await ConnectionManager.initializeDatabasePool();
+            const status = (args[0] || 'OPEN').toUpperCase();
+            const rows = await auditor.listDiscrepancies(status, parseInt(args[1], 10) || 100);
+            console.log(`📋 ${rows.length} ${status} discrepancies:`);
+            console.table(rows.map(row => ({ epoch: row.epoch, check: row.check_type, chain: row.expected_value, stored: row.actual_value, audited: row.audit_ts })));
+            return;
+        }
+
+        const { fromEpoch, toEpoch } = FailedEpochManager.parseEpochRange(args[0], args[1]);
+        // Auditing reads rounds() and Claim logs on-chain, so the full crawler is needed
+        await crawler.initialize();
+        const { audited, discrepancies, requeued } = await auditor.auditRange(fromEpoch, toEpoch, { requeue });
+        if (discrepancies.length === 0) {
+            console.log(`✅ All ${audited} epochs match on-chain data.`);
+            return;
+        }
+
+        console.log(`❌ ${discrepancies.length} discrepancies in ${audited} audited epochs:`);
+        console.table(discrepancies.map(row => ({ epoch: row.epoch, check: row.checkType, chain: row.expected, stored: row.actual })));
+        for (const result of requeued) {
+            console.log(`${result.status === 'recrawled' ? '✅' : '❌'} Re-crawled epoch ${result.epoch}: ${result.status}`);
+        }
+        if (!requeue) console.log('ℹ️ Run again with --requeue to re-crawl the affected epochs.');
+    } catch (error) {
+        console.error('❌ Audit failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+auditEpochs();
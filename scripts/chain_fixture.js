@@ -0,0 +1,45 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const HistoricalCrawler = require('../server/workers/historical-crawler');
+const FailedEpochManager = require('../server/services/FailedEpochManager');
+
+// Record against an empty database (or the snapshot you will replay against) so the block search asks for the same blocks
+const USAGE = `Usage:
+  node scripts/chain_fixture.js record <fixture.ndjson> <fromEpoch> [toEpoch]
+  node scripts/chain_fixture.js replay <fixture.ndjson> <fromEpoch> [toEpoch]`;
+
+async function chainFixture() {
+    const [command, fixturePath, ...args] = process.argv.slice(2);
+    if (!['record', 'replay'].includes(command) || !fixturePath) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    process.env.CHAIN_SOURCE = command;
+    process.env.CHAIN_FIXTURE = fixturePath;
+
+    const crawler = new HistoricalCrawler();
+    try {
+        const { fromEpoch, toEpoch } = FailedEpochManager.parseEpochRange(args[0], args[1]);
+        await crawler.initialize();
+        for (let epoch = toEpoch; epoch >= fromEpoch; epoch--) {
+            // Dry runs fetch everything an epoch needs without writing round data
+            const preview = await crawler.processEpochData(epoch, { force: true, dryRun: true });
+            if (!preview) {
+                console.log(`⏭️ Epoch ${epoch}: not ready`);
+                continue;
+            }
+            console.log(`${command === 'record' ? '⏺️' : '📼'} Epoch ${epoch} (blocks ${preview.fromBlock}-${preview.toBlock}): result=${preview.round.result}, ${preview.bets.length} bets, ${preview.claims.length} claims`);
+        }
+        if (crawler.chainSource.close) await crawler.chainSource.close();
+    } catch (error) {
+        console.error(`❌ Fixture ${command} failed:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+chainFixture();
@@ -0,0 +1,64 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const HistoricalCrawler = require('../server/workers/historical-crawler');
+const FailedEpochManager = require('../server/services/FailedEpochManager');
+
+const USAGE = `Usage:
+  node scripts/failed_epochs.js list [limit]
+  node scripts/failed_epochs.js clear <fromEpoch> [toEpoch] [--dry-run]
+  node scripts/failed_epochs.js recrawl <fromEpoch> [toEpoch] [--dry-run]`;
+
+async function failedEpochs() {
+    const dryRun = process.argv.includes('--dry-run');
+    const [command, ...args] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    if (!['list', 'clear', 'recrawl'].includes(command)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const crawler = new HistoricalCrawler();
+    const manager = new FailedEpochManager(crawler);
+
+    try {
+        if (command === 'list') {
+            await ConnectionManager.initializeDatabasePool();
+            const { total, failures } = await manager.listFailures(parseInt(args[0], 10) || 100);
+            console.log(`📋 ${total} failed epochs recorded:`);
+            console.table(failures.map(row => ({ epoch: row.epoch, failures: row.failure_count, last_attempt: row.last_attempt_ts, error: row.error_message })));
+            return;
+        }
+
+        const { fromEpoch, toEpoch } = FailedEpochManager.parseEpochRange(args[0], args[1]);
+        if (command === 'clear') {
+            await ConnectionManager.initializeDatabasePool();
+            const { cleared } = await manager.clearFailures(fromEpoch, toEpoch, dryRun);
+            console.log(`${dryRun ? '🔎 Would clear' : '✅ Cleared'} ${cleared.length} failed epochs:`);
+            console.table(cleared);
+            return;
+        }
+
+        // Re-crawling needs the RPC provider and contract as well as the database
+        await crawler.initialize();
+        const { results } = await manager.recrawl(fromEpoch, toEpoch, dryRun);
+        for (const result of results) {
+            if (result.status !== 'preview') {
+                console.log(`${result.status === 'recrawled' ? '✅' : '❌'} Epoch ${result.epoch}: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+                continue;
+            }
+            const { round, bets, claims, roundEvents, configEvents, fromBlock, toBlock } = result.wouldWrite;
+            console.log(`🔎 Epoch ${result.epoch} (blocks ${fromBlock}-${toBlock}) would write:`);
+            console.log(`   round: result=${round.result}, total=${round.total_amount}, up=${round.up_amount}, down=${round.down_amount}, fee=${round.treasury_fee}bps`);
+            console.log(`   hisbet: ${bets.length} rows, claim: ${claims.length} rows, round_lifecycle: ${roundEvents.length} rows, contract_config_history: ${configEvents.length} rows`);
+        }
+    } catch (error) {
+        console.error('❌ Failed epoch operation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+failedEpochs();
@@ -0,0 +1,40 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateAuditDiscrepancy() {
+    console.log('🚀 Starting audit_discrepancy migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating audit_discrepancy table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS audit_discrepancy (
+                id BIGSERIAL PRIMARY KEY,
+                epoch BIGINT NOT NULL,
+                check_type VARCHAR(20) NOT NULL,
+                expected_value NUMERIC(20,8),
+                actual_value NUMERIC(20,8),
+                details JSONB,
+                status VARCHAR(10) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'REQUEUED', 'RESOLVED')),
+                audit_ts TIMESTAMP DEFAULT NOW(),
+                resolved_ts TIMESTAMP,
+                created_ts TIMESTAMP DEFAULT NOW(),
+                CONSTRAINT unique_audit_epoch_check UNIQUE (epoch, check_type)
+            );
+            CREATE INDEX IF NOT EXISTS idx_audit_discrepancy_status ON audit_discrepancy(status);
+        `);
+        console.log('✅ audit_discrepancy table ready.');
+
+        console.log('✅ audit_discrepancy migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ audit_discrepancy migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateAuditDiscrepancy();
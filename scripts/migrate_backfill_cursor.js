@@ -0,0 +1,30 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateBackfillCursor() {
+    console.log('🚀 Starting backfill cursor migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating backfill_cursor table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS backfill_cursor (
+                name VARCHAR(50) PRIMARY KEY,
+                upper_epoch BIGINT NOT NULL,
+                next_epoch BIGINT NOT NULL,
+                updated_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        console.log('✅ Backfill cursor migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Backfill cursor migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateBackfillCursor();
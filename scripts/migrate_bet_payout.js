@@ -0,0 +1,32 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateBetPayout() {
+    console.log('🚀 Starting bet payout migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Adding payout, PnL and claim columns to hisbet...');
+        await ConnectionManager.executeQuery(`
+            ALTER TABLE hisbet
+                ADD COLUMN IF NOT EXISTS payout NUMERIC(20,8),
+                ADD COLUMN IF NOT EXISTS pnl NUMERIC(20,8),
+                ADD COLUMN IF NOT EXISTS claim_status VARCHAR(10) CHECK (claim_status IN ('CLAIMED', 'UNCLAIMED', 'REFUNDED')),
+                ADD COLUMN IF NOT EXISTS claim_tx_hash VARCHAR(66);
+            CREATE INDEX IF NOT EXISTS idx_hisbet_claim_status ON hisbet(claim_status);
+        `);
+        console.log('✅ hisbet columns added. Run scripts/reconcile_claims.js with --enrich to fill existing rows.');
+
+        console.log('✅ Bet payout migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Bet payout migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateBetPayout();
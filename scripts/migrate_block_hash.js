@@ -0,0 +1,26 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateBlockHash() {
+    console.log('🚀 Starting block hash migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Adding block_hash column to hisbet and claim...');
+        await ConnectionManager.executeQuery('ALTER TABLE hisbet ADD COLUMN IF NOT EXISTS block_hash VARCHAR(66);');
+        await ConnectionManager.executeQuery('ALTER TABLE claim ADD COLUMN IF NOT EXISTS block_hash VARCHAR(66);');
+        console.log('✅ block_hash columns added.');
+
+        console.log('✅ Block hash migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Block hash migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateBlockHash();
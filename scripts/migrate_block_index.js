@@ -0,0 +1,45 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateBlockIndex() {
+    console.log('🚀 Starting block index migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating block_anchor table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS block_anchor (
+                block_number BIGINT PRIMARY KEY,
+                block_timestamp BIGINT NOT NULL,
+                created_ts TIMESTAMP DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_block_anchor_timestamp ON block_anchor(block_timestamp);
+        `);
+        console.log('✅ block_anchor table ready.');
+
+        console.log('Creating epoch_block_range table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS epoch_block_range (
+                epoch BIGINT PRIMARY KEY,
+                start_timestamp BIGINT NOT NULL,
+                end_timestamp BIGINT NOT NULL,
+                from_block BIGINT NOT NULL,
+                to_block BIGINT NOT NULL,
+                created_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        console.log('✅ epoch_block_range table ready.');
+
+        console.log('✅ Block index migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Block index migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateBlockIndex();
@@ -0,0 +1,38 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateClaimerReview() {
+    console.log('🚀 Starting multi-round claimer review migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating multi_round_claimer_review table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS multi_round_claimer_review (
+                id BIGSERIAL PRIMARY KEY,
+                claimer_id INTEGER NOT NULL,
+                claim_epoch BIGINT NOT NULL,
+                wallet_address VARCHAR(42) NOT NULL,
+                from_status VARCHAR(20) NOT NULL,
+                to_status VARCHAR(20) NOT NULL,
+                reviewer VARCHAR(50) NOT NULL,
+                note TEXT,
+                created_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_claimer_review_claim ON multi_round_claimer_review(claim_epoch, wallet_address);');
+        console.log('✅ multi_round_claimer_review table ready.');
+
+        console.log('✅ Multi-round claimer review migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Multi-round claimer review migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateClaimerReview();
@@ -0,0 +1,63 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateContractEvents() {
+    console.log('🚀 Starting contract events migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating round_lifecycle table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS round_lifecycle (
+                epoch BIGINT,
+                event_type VARCHAR(10) CHECK (event_type IN ('START', 'LOCK', 'END', 'REWARDS')),
+                oracle_round_id NUMERIC(78,0),
+                price NUMERIC(20,8),
+                reward_base_cal_amount NUMERIC(20,8),
+                reward_amount NUMERIC(20,8),
+                treasury_amount NUMERIC(20,8),
+                event_ts TIMESTAMP,
+                tx_hash VARCHAR(66),
+                log_index INTEGER,
+                block_number BIGINT,
+                block_hash VARCHAR(66),
+                created_ts TIMESTAMP DEFAULT NOW(),
+                CONSTRAINT unique_round_lifecycle_log UNIQUE (tx_hash, log_index)
+            );
+            CREATE INDEX IF NOT EXISTS idx_round_lifecycle_epoch ON round_lifecycle(epoch);
+            CREATE INDEX IF NOT EXISTS idx_round_lifecycle_block ON round_lifecycle(block_number);
+        `);
+        console.log('✅ round_lifecycle table ready.');
+
+        console.log('Creating contract_config_history table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS contract_config_history (
+                event_name VARCHAR(40),
+                epoch BIGINT,
+                params JSONB,
+                event_ts TIMESTAMP,
+                tx_hash VARCHAR(66),
+                log_index INTEGER,
+                block_number BIGINT,
+                block_hash VARCHAR(66),
+                created_ts TIMESTAMP DEFAULT NOW(),
+                CONSTRAINT unique_contract_config_log UNIQUE (tx_hash, log_index)
+            );
+            CREATE INDEX IF NOT EXISTS idx_contract_config_name ON contract_config_history(event_name);
+            CREATE INDEX IF NOT EXISTS idx_contract_config_block ON contract_config_history(block_number);
+        `);
+        console.log('✅ contract_config_history table ready.');
+
+        console.log('✅ Contract events migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Contract events migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateContractEvents();
@@ -0,0 +1,43 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateListenerCoverage() {
+    console.log('🚀 Starting listener coverage migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Adding tx_hash column to realbet...');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet ADD COLUMN IF NOT EXISTS tx_hash VARCHAR(66);');
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_realbet_tx_hash ON realbet(tx_hash);');
+        console.log('✅ realbet.tx_hash column added.');
+
+        console.log('Creating listener_coverage table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS listener_coverage (
+                epoch BIGINT PRIMARY KEY,
+                final_bets INTEGER,
+                realtime_bets INTEGER,
+                matched INTEGER,
+                missed INTEGER,
+                extra INTEGER,
+                avg_latency_ms INTEGER,
+                p95_latency_ms INTEGER,
+                max_latency_ms INTEGER,
+                computed_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        console.log('✅ listener_coverage table ready.');
+
+        console.log('✅ Listener coverage migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Listener coverage migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateListenerCoverage();
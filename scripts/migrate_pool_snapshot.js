@@ -0,0 +1,57 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const PoolTimeline = require('../server/services/PoolTimeline');
+
+async function migratePoolSnapshot() {
+    console.log('🚀 Starting pool snapshot migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating pool_snapshot table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS pool_snapshot (
+                epoch BIGINT NOT NULL,
+                offset_seconds INTEGER NOT NULL,
+                source VARCHAR(8) NOT NULL CHECK (source IN ('REALTIME', 'HISBET')),
+                snapshot_ts TIMESTAMP,
+                up_amount NUMERIC(20,8),
+                down_amount NUMERIC(20,8),
+                total_amount NUMERIC(20,8),
+                up_count INTEGER,
+                down_count INTEGER,
+                up_payout NUMERIC(10,4),
+                down_payout NUMERIC(10,4),
+                created_ts TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (epoch, offset_seconds, source)
+            );
+        `);
+        console.log('✅ pool_snapshot table ready.');
+
+        // Epochs crawled before this table existed get their timeline rebuilt from hisbet
+        console.log('Rebuilding pool timelines for already crawled epochs...');
+        const poolTimeline = new PoolTimeline(ConnectionManager);
+        let rebuilt = 0;
+        let epochs = await poolTimeline.listMissingEpochs(null, 500);
+        while (epochs.length > 0) {
+            for (const epoch of epochs) {
+                if (await poolTimeline.rebuild(epoch) > 0) rebuilt++;
+            }
+            const beforeEpoch = epochs[epochs.length - 1];
+            console.log(`   ${rebuilt} epochs rebuilt, down to epoch ${beforeEpoch}...`);
+            epochs = await poolTimeline.listMissingEpochs(beforeEpoch, 500);
+        }
+        console.log(`✅ Rebuilt pool timelines for ${rebuilt} epochs.`);
+
+        console.log('✅ Pool snapshot migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Pool snapshot migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migratePoolSnapshot();
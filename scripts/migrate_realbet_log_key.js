@@ -0,0 +1,33 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateRealbetLogKey() {
+    console.log('🚀 Starting realbet log key migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Adding log_index, block_number and block_ts columns to realbet...');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet ADD COLUMN IF NOT EXISTS log_index INTEGER;');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet ADD COLUMN IF NOT EXISTS block_number BIGINT;');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet ADD COLUMN IF NOT EXISTS block_ts TIMESTAMP;');
+        console.log('✅ realbet columns added.');
+
+        // Rows written before this migration have no log_index and never conflict
+        console.log('Adding unique (tx_hash, log_index) constraint to realbet...');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet DROP CONSTRAINT IF EXISTS unique_realbet_tx_log;');
+        await ConnectionManager.executeQuery('ALTER TABLE realbet ADD CONSTRAINT unique_realbet_tx_log UNIQUE (tx_hash, log_index);');
+        console.log('✅ unique_realbet_tx_log constraint added.');
+
+        console.log('✅ Realbet log key migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Realbet log key migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateRealbetLogKey();
@@ -0,0 +1,47 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateRoundOutcome() {
+    console.log('🚀 Starting round outcome migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        // 1. Widen round.result to hold HOUSE/CANCELLED
+        console.log('Extending round.result constraint...');
+        await ConnectionManager.executeQuery('ALTER TABLE round DROP CONSTRAINT IF EXISTS round_result_check;');
+        await ConnectionManager.executeQuery('ALTER TABLE round ALTER COLUMN result TYPE VARCHAR(9);');
+        await ConnectionManager.executeQuery("ALTER TABLE round ADD CONSTRAINT round_result_check CHECK (result IN ('UP', 'DOWN', 'HOUSE', 'CANCELLED'));");
+        console.log('✅ round.result now accepts UP, DOWN, HOUSE and CANCELLED.');
+
+        // 2. Add the contract reward columns
+        console.log('Adding contract reward columns to round...');
+        await ConnectionManager.executeQuery(`
+            ALTER TABLE round
+                ADD COLUMN IF NOT EXISTS oracle_called BOOLEAN,
+                ADD COLUMN IF NOT EXISTS treasury_fee INTEGER,
+                ADD COLUMN IF NOT EXISTS reward_base_cal_amount NUMERIC(20,8),
+                ADD COLUMN IF NOT EXISTS reward_amount NUMERIC(20,8),
+                ADD COLUMN IF NOT EXISTS treasury_amount NUMERIC(20,8);
+        `);
+        console.log('✅ Contract reward columns added.');
+
+        // 3. Widen hisbet.result to hold REFUND
+        console.log('Extending hisbet.result constraint...');
+        await ConnectionManager.executeQuery('ALTER TABLE hisbet DROP CONSTRAINT IF EXISTS hisbet_result_check;');
+        await ConnectionManager.executeQuery('ALTER TABLE hisbet ALTER COLUMN result TYPE VARCHAR(6);');
+        await ConnectionManager.executeQuery("ALTER TABLE hisbet ADD CONSTRAINT hisbet_result_check CHECK (result IN ('WIN', 'LOSS', 'REFUND'));");
+        console.log('✅ hisbet.result now accepts WIN, LOSS and REFUND.');
+
+        console.log('✅ Round outcome migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Round outcome migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateRoundOutcome();
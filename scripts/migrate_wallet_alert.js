@@ -0,0 +1,42 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateWalletAlert() {
+    console.log('🚀 Starting wallet alert migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating wallet_alert table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS wallet_alert (
+                id BIGSERIAL PRIMARY KEY,
+                rule_id VARCHAR(32) NOT NULL,
+                severity VARCHAR(6) NOT NULL CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+                epoch BIGINT,
+                wallet_address VARCHAR(42),
+                tx_hash VARCHAR(66),
+                block_number BIGINT,
+                dedup_key VARCHAR(128) NOT NULL,
+                evidence JSONB,
+                created_ts TIMESTAMP DEFAULT NOW(),
+                CONSTRAINT unique_wallet_alert_dedup UNIQUE (dedup_key)
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_wallet_alert_wallet ON wallet_alert(wallet_address);');
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_wallet_alert_epoch ON wallet_alert(epoch);');
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_wallet_alert_rule ON wallet_alert(rule_id);');
+        console.log('✅ wallet_alert table ready.');
+
+        console.log('✅ Wallet alert migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Wallet alert migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateWalletAlert();
@@ -0,0 +1,87 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateWalletCluster() {
+    console.log('🚀 Starting wallet cluster migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating wallet_cluster_run table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS wallet_cluster_run (
+                id BIGSERIAL PRIMARY KEY,
+                from_epoch BIGINT NOT NULL,
+                to_epoch BIGINT NOT NULL,
+                params JSONB,
+                pair_count INTEGER NOT NULL,
+                cluster_count INTEGER NOT NULL,
+                duration_ms INTEGER,
+                created_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        console.log('✅ wallet_cluster_run table ready.');
+
+        console.log('Creating wallet_cluster table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS wallet_cluster (
+                run_id BIGINT REFERENCES wallet_cluster_run(id) ON DELETE CASCADE,
+                cluster_no INTEGER,
+                member_count INTEGER NOT NULL,
+                pair_count INTEGER NOT NULL,
+                avg_score NUMERIC(6,4),
+                max_co_bets INTEGER,
+                PRIMARY KEY (run_id, cluster_no)
+            );
+        `);
+        console.log('✅ wallet_cluster table ready.');
+
+        console.log('Creating wallet_cluster_member table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS wallet_cluster_member (
+                run_id BIGINT,
+                cluster_no INTEGER,
+                wallet_address VARCHAR(42),
+                bets INTEGER NOT NULL,
+                wins INTEGER NOT NULL,
+                total_amount NUMERIC(20,8),
+                total_pnl NUMERIC(20,8),
+                PRIMARY KEY (run_id, wallet_address),
+                FOREIGN KEY (run_id, cluster_no) REFERENCES wallet_cluster(run_id, cluster_no) ON DELETE CASCADE
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_wallet_cluster_member_cluster ON wallet_cluster_member(run_id, cluster_no);');
+        console.log('✅ wallet_cluster_member table ready.');
+
+        console.log('Creating wallet_cluster_pair table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS wallet_cluster_pair (
+                run_id BIGINT,
+                cluster_no INTEGER,
+                wallet_a VARCHAR(42),
+                wallet_b VARCHAR(42),
+                co_bets INTEGER NOT NULL,
+                bets_a INTEGER NOT NULL,
+                bets_b INTEGER NOT NULL,
+                score NUMERIC(6,4) NOT NULL,
+                first_epoch BIGINT,
+                last_epoch BIGINT,
+                PRIMARY KEY (run_id, wallet_a, wallet_b),
+                FOREIGN KEY (run_id, cluster_no) REFERENCES wallet_cluster(run_id, cluster_no) ON DELETE CASCADE
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_wallet_cluster_pair_cluster ON wallet_cluster_pair(run_id, cluster_no);');
+        console.log('✅ wallet_cluster_pair table ready.');
+
+        console.log('✅ Wallet cluster migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Wallet cluster migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateWalletCluster();
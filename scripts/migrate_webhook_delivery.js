@@ -0,0 +1,57 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+
+async function migrateWebhookDelivery() {
+    console.log('🚀 Starting webhook delivery migration...');
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        console.log('Creating webhook_delivery table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS webhook_delivery (
+                id BIGSERIAL PRIMARY KEY,
+                alert_id VARCHAR(160) NOT NULL,
+                alert_type VARCHAR(32) NOT NULL,
+                destination VARCHAR(100) NOT NULL,
+                attempt INTEGER NOT NULL,
+                status_code INTEGER,
+                error TEXT,
+                duration_ms INTEGER,
+                delivered BOOLEAN NOT NULL,
+                created_ts TIMESTAMP DEFAULT NOW()
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_webhook_delivery_alert ON webhook_delivery(alert_id);');
+        console.log('✅ webhook_delivery table ready.');
+
+        console.log('Creating webhook_dead_letter table...');
+        await ConnectionManager.executeQuery(`
+            CREATE TABLE IF NOT EXISTS webhook_dead_letter (
+                id BIGSERIAL PRIMARY KEY,
+                alert_id VARCHAR(160) NOT NULL,
+                alert_type VARCHAR(32) NOT NULL,
+                destination VARCHAR(100) NOT NULL,
+                payload JSONB NOT NULL,
+                attempts INTEGER NOT NULL,
+                last_error TEXT,
+                status VARCHAR(8) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'REPLAYED')),
+                created_ts TIMESTAMP DEFAULT NOW(),
+                replayed_ts TIMESTAMP
+            );
+        `);
+        await ConnectionManager.executeQuery('CREATE INDEX IF NOT EXISTS idx_webhook_dead_letter_status ON webhook_dead_letter(status);');
+        console.log('✅ webhook_dead_letter table ready.');
+
+        console.log('✅ Webhook delivery migration completed successfully.');
+
+    } catch (error) {
+        console.error('❌ Webhook delivery migration failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+migrateWebhookDelivery();
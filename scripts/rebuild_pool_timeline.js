@@ -0,0 +1,35 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const PoolTimeline = require('../server/services/PoolTimeline');
+
+// Usage: node scripts/rebuild_pool_timeline.js <fromEpoch> [toEpoch]
+async function rebuildPoolTimeline() {
+    const [fromArg, toArg] = process.argv.slice(2);
+    const fromEpoch = parseInt(fromArg, 10);
+    const toEpoch = toArg === undefined ? fromEpoch : parseInt(toArg, 10);
+    if (Number.isNaN(fromEpoch) || Number.isNaN(toEpoch) || toEpoch < fromEpoch) {
+        console.error('Usage: node scripts/rebuild_pool_timeline.js <fromEpoch> [toEpoch]');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`🚀 Rebuilding pool timelines for epochs ${fromEpoch}-${toEpoch} from hisbet...`);
+    const poolTimeline = new PoolTimeline(ConnectionManager);
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+        let rebuilt = 0;
+        for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) {
+            if (await poolTimeline.rebuild(epoch) > 0) rebuilt++;
+        }
+        console.log(`✅ Rebuilt ${rebuilt} of ${toEpoch - fromEpoch + 1} epochs (epochs without a round row are skipped).`);
+    } catch (error) {
+        console.error('❌ Pool timeline rebuild failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+rebuildPoolTimeline();
@@ -0,0 +1,54 @@
+const dotenv = require('dotenv');
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+const ConnectionManager = require('../server/db/ConnectionManager');
+const ClaimReconciler = require('../server/services/ClaimReconciler');
+
+// Usage: node scripts/reconcile_claims.js <fromEpoch> <toEpoch> [--enrich]
+async function reconcileClaims() {
+    const [fromArg, toArg] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const fromEpoch = parseInt(fromArg, 10);
+    const toEpoch = parseInt(toArg, 10);
+    if (Number.isNaN(fromEpoch) || Number.isNaN(toEpoch)) {
+        console.error('Usage: node scripts/reconcile_claims.js <fromEpoch> <toEpoch> [--enrich]');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`🚀 Reconciling claims for bet epochs ${fromEpoch}-${toEpoch}...`);
+    const reconciler = new ClaimReconciler(ConnectionManager);
+
+    try {
+        await ConnectionManager.initializeDatabasePool();
+
+        if (process.argv.includes('--enrich')) {
+            const enriched = await reconciler.enrichBets(fromEpoch, toEpoch);
+            console.log(`✅ Computed payout and PnL for ${enriched} bets.`);
+            const linked = await reconciler.linkClaims(fromEpoch, toEpoch);
+            console.log(`✅ Linked ${linked} bets to their claims.`);
+        }
+
+        const report = await reconciler.getReconciliationReport(fromEpoch, toEpoch);
+        if (report.length === 0) {
+            console.log('✅ All claims match their computed payouts.');
+            return;
+        }
+
+        console.log(`❌ ${report.length} claims differ from the computed payout:`);
+        console.table(report.map(row => ({
+            issue: row.issue,
+            bet_epoch: row.bet_epoch,
+            claim_epoch: row.claim_epoch,
+            wallet: row.wallet_address,
+            claimed: row.claim_amount,
+            expected: row.expected_payout,
+            difference: row.difference
+        })));
+    } catch (error) {
+        console.error('❌ Claim reconciliation failed:', error.message);
+    } finally {
+        await ConnectionManager.close();
+    }
+}
+
+reconcileClaims();
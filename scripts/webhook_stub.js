@@ -0,0 +1,57 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local webhook receiver for testing alert delivery. Point a destination at http://localhost:<port>/ and run:
+//   node scripts/webhook_stub.js [port] [--fail N] [--status CODE]
+// --fail N answers the first N requests with 500 to exercise retries; --status CODE answers every request with CODE.
+// With WEBHOOK_SECRET set, X-Alert-Signature is checked and bad signatures get 401.
+function parseArgs(argv) {
+    const options = { port: 4000, fail: 0, status: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fail') options.fail = parseInt(argv[++i], 10);
+        else if (argv[i] === '--status') options.status = parseInt(argv[++i], 10);
+        else options.port = parseInt(argv[i], 10);
+    }
+    return options;
+}
+
+function verifySignature(secret, req, body) {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${req.headers['x-alert-timestamp']}.${body}`).digest('hex')}`;
+    const received = req.headers['x-alert-signature'] || '';
+    return received.length === expected.length && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+function startStub() {
+    const options = parseArgs(process.argv.slice(2));
+    const secret = process.env.WEBHOOK_SECRET;
+    let received = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received++;
+            const signatureOk = secret ? verifySignature(secret, req, body) : null;
+            let status = options.status || 200;
+            if (received <= options.fail) status = 500;
+            if (signatureOk === false) status = 401;
+
+            let alert = {};
+            try {
+                alert = JSON.parse(body);
+            } catch (error) {
+                status = 400;
+            }
+            console.log(`📨 #${received} ${alert.type || '?'} ${alert.id || '?'} attempt=${req.headers['x-alert-attempt']} signature=${signatureOk === null ? 'unchecked' : signatureOk ? 'ok' : 'BAD'} -> ${status}`);
+            console.log(`   ${JSON.stringify(alert.data)}`);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: status < 300 }));
+        });
+    });
+
+    server.listen(options.port, () => {
+        console.log(`🚀 Webhook stub listening on http://localhost:${options.port}/${secret ? ' (verifying signatures)' : ''}`);
+    });
+}
+
+startStub();
@@ -0,0 +1,36 @@
+// Everything the crawler and listener need from the chain, in plain-object form so it can be recorded and replayed:
+//   round:  { epoch, startTimestamp, lockTimestamp, closeTimestamp, lockPrice, closePrice, lockOracleId, closeOracleId,
+//             totalAmount, bullAmount, bearAmount, rewardBaseCalAmount, rewardAmount, oracleCalled }  (numbers as BigInt)
+//   log:    { eventName, args: { [name]: value }, blockNumber, blockHash, transactionHash, index, removed }
+//   block:  { number, hash, timestamp }
+class ChainDataSource {
+    constructor(mode) {
+        this.mode = mode;
+    }
+
+    async getCurrentEpoch() { throw new Error(`${this.mode} chain source does not implement getCurrentEpoch`); }
+    async getRound(epoch) { throw new Error(`${this.mode} chain source does not implement getRound`); }
+    async getTreasuryFee() { throw new Error(`${this.mode} chain source does not implement getTreasuryFee`); }
+    async getBufferSeconds() { throw new Error(`${this.mode} chain source does not implement getBufferSeconds`); }
+    async getIntervalSeconds() { throw new Error(`${this.mode} chain source does not implement getIntervalSeconds`); }
+    async getLogs(fromBlock, toBlock, eventName = '*') { throw new Error(`${this.mode} chain source does not implement getLogs`); }
+    async getBlockNumber() { throw new Error(`${this.mode} chain source does not implement getBlockNumber`); }
+    async getBlock(blockNumber) { throw new Error(`${this.mode} chain source does not implement getBlock`); }
+
+    // handler(log) is called for every new log of eventName
+    on(eventName, handler) { throw new Error(`${this.mode} chain source does not implement on`); }
+    removeAllListeners() {}
+    // Moves the subscriptions to a new connection after a reconnect; sources without a connection ignore it
+    async rebind(contract, provider) {}
+}
+
+// NDJSON captures keep BigInt values exact by tagging them
+function encodeFixtureLine(entry) {
+    return JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? { $bigint: value.toString() } : value));
+}
+
+function decodeFixtureLine(line) {
+    return JSON.parse(line, (key, value) => (value && typeof value === 'object' && typeof value.$bigint === 'string' ? BigInt(value.$bigint) : value));
+}
+
+module.exports = { ChainDataSource, encodeFixtureLine, decodeFixtureLine };
@@ -0,0 +1,92 @@
+const { ChainDataSource } = require('./ChainDataSource');
+
+const ROUND_FIELDS = [
+    'epoch', 'startTimestamp', 'lockTimestamp', 'closeTimestamp', 'lockPrice', 'closePrice', 'lockOracleId', 'closeOracleId',
+    'totalAmount', 'bullAmount', 'bearAmount', 'rewardBaseCalAmount', 'rewardAmount', 'oracleCalled'
+];
+
+class LiveChainSource extends ChainDataSource {
+    constructor(contract, provider) {
+        super('live');
+        this.contract = contract;
+        this.provider = provider;
+        this.subscriptions = []; // [eventName, handler], re-registered by rebind
+    }
+
+    static normalizeLog(log) {
+        const args = {};
+        log.fragment.inputs.forEach((input, index) => {
+            args[input.name] = log.args[index];
+        });
+        return {
+            eventName: log.eventName,
+            args,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            index: log.index,
+            removed: Boolean(log.removed)
+        };
+    }
+
+    async getCurrentEpoch() {
+        return Number(await this.contract.currentEpoch());
+    }
+
+    async getRound(epoch) {
+        const round = await this.contract.rounds(epoch);
+        return Object.fromEntries(ROUND_FIELDS.map(field => [field, round[field]]));
+    }
+
+    async getTreasuryFee() {
+        return Number(await this.contract.treasuryFee());
+    }
+
+    async getBufferSeconds() {
+        return Number(await this.contract.bufferSeconds());
+    }
+
+    async getIntervalSeconds() {
+        return Number(await this.contract.intervalSeconds());
+    }
+
+    async getLogs(fromBlock, toBlock, eventName = '*') {
+        const logs = await this.contract.queryFilter(eventName, fromBlock, toBlock);
+        // Logs from other contracts or unknown topics have no fragment to decode with
+        return logs.filter(log => log.fragment).map(log => LiveChainSource.normalizeLog(log));
+    }
+
+    async getBlockNumber() {
+        return this.provider.getBlockNumber();
+    }
+
+    async getBlock(blockNumber) {
+        const block = await this.provider.getBlock(blockNumber);
+        return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+    }
+
+    on(eventName, handler) {
+        this.subscriptions.push([eventName, handler]);
+        this.subscribe(eventName, handler);
+    }
+
+    subscribe(eventName, handler) {
+        // ethers passes the decoded args first and the event payload (with its log) last
+        this.contract.on(eventName, (...params) => handler(LiveChainSource.normalizeLog(params[params.length - 1].log)));
+    }
+
+    removeAllListeners() {
+        this.subscriptions = [];
+        this.contract.removeAllListeners();
+    }
+
+    async rebind(contract, provider) {
+        // The old provider is already gone, so unsubscribing from it can fail
+        await this.contract.removeAllListeners().catch(() => {});
+        this.contract = contract;
+        this.provider = provider;
+        for (const [eventName, handler] of this.subscriptions) this.subscribe(eventName, handler);
+    }
+}
+
+module.exports = LiveChainSource;
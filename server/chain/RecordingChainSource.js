@@ -0,0 +1,56 @@
+const fs = require('fs');
+const { ChainDataSource, encodeFixtureLine } = require('./ChainDataSource');
+
+// Passes every call through to another source and appends the call and its answer to an NDJSON capture
+class RecordingChainSource extends ChainDataSource {
+    constructor(source, fixturePath) {
+        super('record');
+        this.source = source;
+        this.fixturePath = fixturePath;
+        this.stream = fs.createWriteStream(fixturePath, { flags: 'a' });
+        this.recorded = 0;
+        console.log(`⏺️ [RecordingChainSource] Recording chain data to ${fixturePath}`);
+    }
+
+    // Failed calls are not recorded, so a retried call replays its eventual answer
+    async record(method, ...params) {
+        const result = await this.source[method](...params);
+        this.write({ kind: 'call', method, params, result });
+        return result;
+    }
+
+    write(entry) {
+        this.stream.write(`${encodeFixtureLine(entry)}\n`);
+        this.recorded++;
+    }
+
+    async getCurrentEpoch() { return this.record('getCurrentEpoch'); }
+    async getRound(epoch) { return this.record('getRound', Number(epoch)); }
+    async getTreasuryFee() { return this.record('getTreasuryFee'); }
+    async getBufferSeconds() { return this.record('getBufferSeconds'); }
+    async getIntervalSeconds() { return this.record('getIntervalSeconds'); }
+    async getLogs(fromBlock, toBlock, eventName = '*') { return this.record('getLogs', Number(fromBlock), Number(toBlock), eventName); }
+    async getBlockNumber() { return this.record('getBlockNumber'); }
+    async getBlock(blockNumber) { return this.record('getBlock', Number(blockNumber)); }
+
+    on(eventName, handler) {
+        this.source.on(eventName, (log) => {
+            this.write({ kind: 'event', eventName, log });
+            return handler(log);
+        });
+    }
+
+    removeAllListeners() {
+        this.source.removeAllListeners();
+    }
+
+    rebind(contract, provider) {
+        return this.source.rebind(contract, provider);
+    }
+
+    close() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+module.exports = RecordingChainSource;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const { ChainDataSource, decodeFixtureLine } = require('./ChainDataSource');
+
+class ReplayChainSource extends ChainDataSource {
+    constructor(fixturePath) {
+        super('replay');
+        this.fixturePath = fixturePath;
+        this.calls = new Map();
+        this.callCursors = new Map();
+        this.events = [];
+        this.handlers = new Map();
+        this.playbackScheduled = false;
+        this.load();
+    }
+
+    load() {
+        const lines = fs.readFileSync(this.fixturePath, 'utf8').split('\n').filter(line => line.trim());
+        for (const line of lines) {
+            const entry = decodeFixtureLine(line);
+            if (entry.kind === 'event') {
+                this.events.push(entry);
+                continue;
+            }
+            const key = ReplayChainSource.callKey(entry.method, entry.params);
+            if (!this.calls.has(key)) this.calls.set(key, []);
+            this.calls.get(key).push(entry);
+        }
+        console.log(`📼 [ReplayChainSource] Loaded ${this.calls.size} recorded calls and ${this.events.length} events from ${this.fixturePath}`);
+    }
+
+    static callKey(method, params) {
+        return `${method}:${JSON.stringify(params, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}`;
+    }
+
+    // Repeated calls (e.g. currentEpoch while tailing) return the recorded answers in order, then keep the last one
+    replay(method, ...params) {
+        const key = ReplayChainSource.callKey(method, params);
+        const recorded = this.calls.get(key);
+        if (!recorded) throw new Error(`Replay fixture ${this.fixturePath} has no recording for ${key}`);
+        const cursor = this.callCursors.get(key) || 0;
+        this.callCursors.set(key, Math.min(cursor + 1, recorded.length - 1));
+        return recorded[cursor].result;
+    }
+
+    async getCurrentEpoch() { return this.replay('getCurrentEpoch'); }
+    async getRound(epoch) { return this.replay('getRound', Number(epoch)); }
+    async getTreasuryFee() { return this.replay('getTreasuryFee'); }
+    async getBufferSeconds() { return this.replay('getBufferSeconds'); }
+    async getIntervalSeconds() { return this.replay('getIntervalSeconds'); }
+    async getLogs(fromBlock, toBlock, eventName = '*') { return this.replay('getLogs', Number(fromBlock), Number(toBlock), eventName); }
+    async getBlockNumber() { return this.replay('getBlockNumber'); }
+    async getBlock(blockNumber) { return this.replay('getBlock', Number(blockNumber)); }
+
+    // Recorded events are played back once, in capture order, after the current tick's subscriptions are registered
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) this.handlers.set(eventName, []);
+        this.handlers.get(eventName).push(handler);
+        if (this.playbackScheduled) return;
+        this.playbackScheduled = true;
+        setImmediate(() => this.playEvents());
+    }
+
+    async playEvents() {
+        for (const entry of this.events) {
+            for (const handler of this.handlers.get(entry.eventName) || []) {
+                await handler(entry.log);
+            }
+        }
+        console.log(`📼 [ReplayChainSource] Finished replaying ${this.events.length} events.`);
+    }
+
+    removeAllListeners() {
+        this.handlers.clear();
+    }
+}
+
+module.exports = ReplayChainSource;
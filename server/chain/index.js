@@ -0,0 +1,26 @@
+const LiveChainSource = require('./LiveChainSource');
+const ReplayChainSource = require('./ReplayChainSource');
+const RecordingChainSource = require('./RecordingChainSource');
+
+// CHAIN_SOURCE=live (default) | record | replay; record and replay read or write the NDJSON capture at CHAIN_FIXTURE.
+// transport 'http' serves the crawler, 'ws' the realtime listener's subscriptions.
+async function createChainSource(connectionManager, transport = 'http') {
+    const mode = process.env.CHAIN_SOURCE || 'live';
+    const fixturePath = process.env.CHAIN_FIXTURE;
+    if (mode !== 'live' && !fixturePath) throw new Error(`CHAIN_SOURCE=${mode} requires CHAIN_FIXTURE`);
+
+    if (mode === 'replay') {
+        // Offline: only the database is needed
+        if (!connectionManager.status.dbConnected) await connectionManager.initializeDatabasePool();
+        return new ReplayChainSource(fixturePath);
+    }
+    if (mode !== 'live' && mode !== 'record') throw new Error(`Unknown CHAIN_SOURCE: ${mode}`);
+
+    await connectionManager.initialize();
+    const live = transport === 'ws'
+        ? new LiveChainSource(connectionManager.getWebSocketContract(), connectionManager.getWebSocketProvider())
+        : new LiveChainSource(connectionManager.getContract(), connectionManager.getHttpProvider());
+    return mode === 'record' ? new RecordingChainSource(live, fixturePath) : live;
+}
+
+module.exports = { createChainSource, LiveChainSource, ReplayChainSource, RecordingChainSource };
@@ -1,12 +1,16 @@
 const { ethers } = require('ethers');
+const EventEmitter = require('events');
 const { Pool } = require('pg');
 const TimeService = require('../services/TimeService');
+const { PooledJsonRpcProvider, WebSocketEndpointPool, parseEndpointList } = require('./RpcProviderPool');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-class ConnectionManager {
+// Emits 'wsReconnected' (wsProvider) after a dropped WebSocket connection is re-established, so subscribers can rebind
+class ConnectionManager extends EventEmitter {
     constructor() {
+        super();
         if (ConnectionManager.instance) {
             return ConnectionManager.instance;
         }
@@ -22,12 +26,15 @@ class ConnectionManager {
             allowExitOnIdle: false
         };
 
+        // RPC_HTTP_URLS / RPC_WS_URLS take comma-separated endpoint lists; the single-URL variables still work
         this.rpcConfig = {
-            httpUrl: process.env.RPC_HTTP_URL,
-            wsUrl: process.env.RPC_WS_URL,
+            httpUrls: parseEndpointList(process.env.RPC_HTTP_URLS, process.env.RPC_HTTP_URL),
+            wsUrls: parseEndpointList(process.env.RPC_WS_URLS, process.env.RPC_WS_URL),
             timeout: 30000,
             retryAttempts: 3,
-            retryDelay: 2000
+            retryDelay: 2000,
+            batchMaxCount: parseInt(process.env.RPC_BATCH_MAX_COUNT || '50', 10),
+            batchStallTime: parseInt(process.env.RPC_BATCH_STALL_TIME || '10', 10)
         };
 
         this.contractConfig = {
@@ -42,6 +49,8 @@ class ConnectionManager {
             contract: null
         };
 
+        this.wsPool = new WebSocketEndpointPool(this.rpcConfig.wsUrls);
+
         this.status = {
             dbConnected: false,
             httpConnected: false,
@@ -52,16 +61,31 @@ class ConnectionManager {
 
         this.healthCheckInterval = null;
         this.HEALTH_CHECK_INTERVAL = 60000;
-        this.MAX_RECONNECT_ATTEMPTS = 5;
         this.RECONNECT_DELAY = 10000;
+        this.MAX_RECONNECT_DELAY = parseInt(process.env.WS_RECONNECT_MAX_DELAY_MS || '120000', 10);
+        this.reconnectTimer = null;
+        this.droppedWsProvider = null;
+        this.initialization = null;
 
         console.log('🔧 ConnectionManager initialized');
     }
 
-    async initialize() {
+    // The crawler and the listener both initialize through their chain sources; they share the first call's
+    // providers so stats and health checks describe the connections that carry traffic
+    initialize() {
+        if (!this.initialization) {
+            this.initialization = this.initializeConnections().catch((error) => {
+                this.initialization = null;
+                throw error;
+            });
+        }
+        return this.initialization;
+    }
+
+    async initializeConnections() {
         try {
             console.log('🚀 [ConnectionManager] Initializing all connections...');
-            await this.initializeDatabasePool();
+            if (!this.status.dbConnected) await this.initializeDatabasePool();
             await this.initializeHttpProvider();
             await this.initializeWebSocketProvider();
             await this.initializeContract();
@@ -98,8 +122,10 @@ class ConnectionManager {
 
     async initializeHttpProvider() {
         try {
-            console.log('🌐 [ConnectionManager] Initializing HTTP RPC Provider...');
-            this.connections.httpProvider = new ethers.JsonRpcProvider(this.rpcConfig.httpUrl, 56, { timeout: this.rpcConfig.timeout, retryLimit: this.rpcConfig.retryAttempts });
+            console.log(`🌐 [ConnectionManager] Initializing HTTP RPC Provider pool (${this.rpcConfig.httpUrls.length} endpoints)...`);
+            if (this.rpcConfig.httpUrls.length === 0) throw new Error('No HTTP RPC endpoints configured (RPC_HTTP_URLS or RPC_HTTP_URL)');
+            // Requests issued within batchStallTime of each other are sent as one JSON-RPC batch to the healthiest endpoint
+            this.connections.httpProvider = new PooledJsonRpcProvider(this.rpcConfig.httpUrls, 56, { timeout: this.rpcConfig.timeout, batchMaxCount: this.rpcConfig.batchMaxCount, batchStallTime: this.rpcConfig.batchStallTime });
             const network = await this.connections.httpProvider.getNetwork();
             const blockNumber = await this.connections.httpProvider.getBlockNumber();
             this.status.httpConnected = true;
@@ -114,34 +140,64 @@ class ConnectionManager {
     }
 
     async initializeWebSocketProvider() {
+        if (this.rpcConfig.wsUrls.length === 0) throw new Error('No WebSocket RPC endpoints configured (RPC_WS_URLS or RPC_WS_URL)');
+        let lastError = null;
+        // Try each configured endpoint once, starting from the current one
+        for (let attempt = 0; attempt < this.rpcConfig.wsUrls.length; attempt++) {
+            try {
+                await this.connectWebSocketEndpoint(this.wsPool.current());
+                this.wsPool.recordConnected();
+                return;
+            } catch (error) {
+                this.wsPool.recordFailure(error);
+                lastError = error;
+                if (this.rpcConfig.wsUrls.length > 1) {
+                    const next = this.wsPool.failover();
+                    console.log(`🔀 [ConnectionManager] Failing over to WebSocket endpoint ${next.name}`);
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    async connectWebSocketEndpoint(endpoint) {
+        let wsProvider = null;
         try {
-            console.log('🔌 [ConnectionManager] Initializing WebSocket Provider...');
-            this.connections.wsProvider = new ethers.WebSocketProvider(this.rpcConfig.wsUrl);
-            this.connections.wsProvider.websocket.on('open', () => {
+            console.log(`🔌 [ConnectionManager] Initializing WebSocket Provider (${endpoint.name})...`);
+            wsProvider = new ethers.WebSocketProvider(endpoint.url);
+            this.connections.wsProvider = wsProvider;
+            let opened = false;
+            wsProvider.websocket.on('open', () => {
                 console.log('✅ [ConnectionManager] WebSocket connection established');
+                opened = true;
                 this.status.wsConnected = true;
                 this.status.reconnectAttempts = 0;
             });
-            this.connections.wsProvider.websocket.on('close', () => {
+            wsProvider.websocket.on('close', () => {
                 console.log('⚠️ [ConnectionManager] WebSocket connection closed');
                 this.status.wsConnected = false;
+                // Connections that never opened are handled by the failover loop in initializeWebSocketProvider
+                if (!opened || this.connections.wsProvider !== wsProvider) return;
+                this.wsPool.recordFailure(new Error('WebSocket connection closed'));
+                if (this.rpcConfig.wsUrls.length > 1) this.wsPool.failover();
                 this.handleWebSocketReconnect();
             });
-            this.connections.wsProvider.websocket.on('error', (error) => {
+            wsProvider.websocket.on('error', (error) => {
                 console.error('❌ [ConnectionManager] WebSocket error:', error.message);
                 this.status.wsConnected = false;
             });
             await new Promise((resolve, reject) => {
                 const timeout = setTimeout(() => reject(new Error('WebSocket connection timeout')), 10000);
-                this.connections.wsProvider.websocket.on('open', () => { clearTimeout(timeout); resolve(); });
-                this.connections.wsProvider.websocket.on('error', (error) => { clearTimeout(timeout); reject(error); });
+                wsProvider.websocket.on('open', () => { clearTimeout(timeout); resolve(); });
+                wsProvider.websocket.on('error', (error) => { clearTimeout(timeout); reject(error); });
             });
-            const network = await this.connections.wsProvider.getNetwork();
+            const network = await wsProvider.getNetwork();
             console.log('✅ [ConnectionManager] WebSocket Provider initialized successfully');
             console.log(`   🌐 Network: ${network.name} (ChainID: ${network.chainId})`);
         } catch (error) {
             console.error('❌ [ConnectionManager] WebSocket Provider initialization failed:', error.message);
             this.status.wsConnected = false;
+            if (wsProvider) wsProvider.destroy().catch(() => {});
             throw error;
         }
     }
@@ -162,21 +218,32 @@ class ConnectionManager {
         }
     }
 
+    // Retries forever; the delay grows with each failed attempt up to MAX_RECONNECT_DELAY
     async handleWebSocketReconnect() {
-        if (this.status.reconnectAttempts >= this.MAX_RECONNECT_ATTEMPTS) {
-            console.error('❌ [ConnectionManager] WebSocket reconnect attempts reached limit, stopping.');
-            return;
-        }
+        if (this.reconnectTimer) return;
+        // Remembered across failed attempts so the dropped provider is cleaned up once a new one is up
+        if (!this.droppedWsProvider) this.droppedWsProvider = this.connections.wsProvider;
         this.status.reconnectAttempts++;
-        console.log(`🔄 [ConnectionManager] Attempting WebSocket reconnect (${this.status.reconnectAttempts}/${this.MAX_RECONNECT_ATTEMPTS})`);
-        setTimeout(async () => {
+        const delay = Math.min(this.RECONNECT_DELAY * this.status.reconnectAttempts, this.MAX_RECONNECT_DELAY);
+        console.log(`🔄 [ConnectionManager] Attempting WebSocket reconnect #${this.status.reconnectAttempts} in ${delay}ms`);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
             try {
                 await this.initializeWebSocketProvider();
                 console.log('✅ [ConnectionManager] WebSocket reconnected successfully');
             } catch (error) {
                 console.error('❌ [ConnectionManager] WebSocket reconnect failed:', error.message);
+                this.handleWebSocketReconnect();
+                return;
+            }
+            // Drops the dead provider's subscriptions and pending requests
+            const dropped = this.droppedWsProvider;
+            this.droppedWsProvider = null;
+            if (dropped && dropped !== this.connections.wsProvider) {
+                dropped.destroy().catch(error => console.error('❌ [ConnectionManager] Failed to destroy dropped WebSocket provider:', error.message));
             }
-        }, this.RECONNECT_DELAY * this.status.reconnectAttempts);
+            this.emit('wsReconnected', this.connections.wsProvider);
+        }, delay);
     }
 
     async getDatabaseConnection() {
@@ -250,7 +317,8 @@ class ConnectionManager {
             this.status.dbConnected = false;
         }
         try {
-            await this.connections.httpProvider.getBlockNumber();
+            const endpointResults = await this.connections.httpProvider.probeEndpoints();
+            if (!endpointResults.some(Boolean)) throw new Error('All HTTP RPC endpoints failed');
             results.httpRpc = true;
             this.status.httpConnected = true;
         } catch (error) {
@@ -287,9 +355,19 @@ class ConnectionManager {
             clearInterval(this.healthCheckInterval);
             this.healthCheckInterval = null;
         }
+        if (this.connections.httpProvider) {
+            this.connections.httpProvider.destroy();
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
         if (this.connections.wsProvider) {
+            // Detached first so the close handler does not schedule a reconnect
+            const wsProvider = this.connections.wsProvider;
+            this.connections.wsProvider = null;
             try {
-                this.connections.wsProvider.websocket.close();
+                wsProvider.websocket.close();
                 console.log('✅ [ConnectionManager] WebSocket connection closed');
             } catch (error) {
                 console.error('❌ [ConnectionManager] Failed to close WebSocket:', error.message);
@@ -305,6 +383,7 @@ class ConnectionManager {
         }
         this.status = { dbConnected: false, httpConnected: false, wsConnected: false, lastHealthCheck: null, reconnectAttempts: 0 };
         this.connections = { dbPool: null, httpProvider: null, wsProvider: null, contract: null };
+        this.initialization = null;
         console.log('✅ [ConnectionManager] All connections closed');
     }
 
@@ -312,6 +391,10 @@ class ConnectionManager {
         return {
             status: { ...this.status },
             dbPool: this.connections.dbPool ? { totalCount: this.connections.dbPool.totalCount, idleCount: this.connections.dbPool.idleCount, waitingCount: this.connections.dbPool.waitingCount } : null,
+            rpcEndpoints: {
+                http: this.connections.httpProvider ? this.connections.httpProvider.getHealth() : [],
+                ws: this.wsPool.getHealth()
+            },
             healthCheck: { interval: this.HEALTH_CHECK_INTERVAL, lastCheck: this.status.lastHealthCheck }
         };
     }
@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+const RateLimiter = require('../services/RateLimiter');
+
+// JSON-RPC error responses that say "this endpoint is struggling" rather than "this request is wrong"
+const ENDPOINT_ERROR_CODES = new Set([-32005, -32603, -32098, 429]);
+const ENDPOINT_ERROR_PATTERN = /rate limit|too many requests|limit exceeded|timeout|timed out|busy|unavailable|header not found/i;
+
+function describeEndpoint(url, index) {
+    try {
+        return `${index}:${new URL(url).host}`; // Paths often carry API keys, so only the host is exposed
+    } catch (error) {
+        return `${index}:invalid-url`;
+    }
+}
+
+class PooledJsonRpcProvider extends ethers.JsonRpcApiProvider {
+    constructor(urls, network, options = {}) {
+        super(network, options);
+        const staticNetwork = ethers.Network.from(network);
+        this.cooldownBase = options.cooldownBase || 5000;
+        this.cooldownMax = options.cooldownMax || 120000;
+        this.endpoints = urls.map((url, index) => {
+            const request = new ethers.FetchRequest(url);
+            if (options.timeout) request.timeout = options.timeout;
+            request.setThrottleParams({ maxAttempts: 1 }); // Fail over on 429 instead of waiting out the endpoint's throttle
+            return {
+                name: describeEndpoint(url, index),
+                provider: new ethers.JsonRpcProvider(request, staticNetwork, { staticNetwork }),
+                latencyEwma: null,
+                errorRateEwma: 0,
+                requests: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                cooldownUntil: 0,
+                lastError: null,
+                lastErrorAt: null
+            };
+        });
+    }
+
+    rankEndpoints() {
+        const now = Date.now();
+        const score = (endpoint) => (endpoint.latencyEwma ?? 0) * (1 + endpoint.errorRateEwma * 10);
+        const available = this.endpoints.filter(endpoint => endpoint.cooldownUntil <= now).sort((a, b) => score(a) - score(b));
+        // Endpoints in cooldown are still tried last rather than failing outright
+        const coolingDown = this.endpoints.filter(endpoint => endpoint.cooldownUntil > now).sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+        return [...available, ...coolingDown];
+    }
+
+    async _send(payload) {
+        await RateLimiter.acquire(RateLimiter.payloadCost(payload));
+        let lastError = null;
+        for (const endpoint of this.rankEndpoints()) {
+            const started = Date.now();
+            endpoint.requests++;
+            try {
+                const results = await endpoint.provider._send(payload);
+                const endpointError = results.find(result => result.error && this.isEndpointError(result.error));
+                if (endpointError) {
+                    throw Object.assign(new Error(`RPC endpoint error ${endpointError.error.code}: ${endpointError.error.message}`), { info: { error: endpointError.error } });
+                }
+                this.recordSuccess(endpoint, Date.now() - started);
+                RateLimiter.recordSuccess();
+                return results;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                lastError = error;
+                console.warn(`⚠️ [RpcProviderPool] ${endpoint.name} failed (${error.message}), failing over...`);
+            }
+        }
+        // Only slow the whole process down once every endpoint is pushing back
+        if (RateLimiter.classifyError(lastError) === 'rate_limited') RateLimiter.recordThrottle();
+        throw lastError;
+    }
+
+    isEndpointError(error) {
+        return ENDPOINT_ERROR_CODES.has(error.code) || ENDPOINT_ERROR_PATTERN.test(error.message || '');
+    }
+
+    recordSuccess(endpoint, latency) {
+        endpoint.latencyEwma = endpoint.latencyEwma === null ? latency : endpoint.latencyEwma * 0.8 + latency * 0.2;
+        endpoint.errorRateEwma *= 0.9;
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.errorRateEwma = endpoint.errorRateEwma * 0.9 + 0.1;
+        endpoint.lastError = error.message;
+        endpoint.lastErrorAt = new Date().toISOString();
+        const cooldown = Math.min(this.cooldownMax, this.cooldownBase * 2 ** (endpoint.consecutiveFailures - 1));
+        endpoint.cooldownUntil = Date.now() + cooldown;
+    }
+
+    // Sends eth_blockNumber to every endpoint so idle or cooling-down endpoints get fresh health data
+    async probeEndpoints() {
+        return Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            endpoint.requests++;
+            try {
+                const [result] = await endpoint.provider._send({ method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' });
+                if (result.error) throw new Error(result.error.message);
+                this.recordSuccess(endpoint, Date.now() - started);
+                return true;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                return false;
+            }
+        }));
+    }
+
+    getHealth() {
+        const now = Date.now();
+        return this.endpoints.map(endpoint => ({
+            endpoint: endpoint.name,
+            healthy: endpoint.cooldownUntil <= now,
+            latencyMs: endpoint.latencyEwma === null ? null : Math.round(endpoint.latencyEwma),
+            errorRate: Number(endpoint.errorRateEwma.toFixed(3)),
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            lastError: endpoint.lastError,
+            lastErrorAt: endpoint.lastErrorAt
+        }));
+    }
+
+    destroy() {
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+        super.destroy();
+    }
+}
+
+class WebSocketEndpointPool {
+    constructor(urls) {
+        this.endpoints = urls.map((url, index) => ({
+            url,
+            name: describeEndpoint(url, index),
+            connects: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            lastConnectedAt: null,
+            lastError: null
+        }));
+        this.currentIndex = 0;
+    }
+
+    current() {
+        return this.endpoints[this.currentIndex];
+    }
+
+    // Moves to the endpoint with the fewest consecutive failures, preferring the next one in line on ties
+    failover() {
+        let best = (this.currentIndex + 1) % this.endpoints.length;
+        for (let offset = 1; offset <= this.endpoints.length; offset++) {
+            const index = (this.currentIndex + offset) % this.endpoints.length;
+            if (this.endpoints[index].consecutiveFailures < this.endpoints[best].consecutiveFailures) best = index;
+        }
+        this.currentIndex = best;
+        return this.current();
+    }
+
+    recordConnected() {
+        const endpoint = this.current();
+        endpoint.connects++;
+        endpoint.consecutiveFailures = 0;
+        endpoint.lastConnectedAt = new Date().toISOString();
+    }
+
+    recordFailure(error) {
+        const endpoint = this.current();
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error.message;
+    }
+
+    getHealth() {
+        return this.endpoints.map((endpoint, index) => ({
+            endpoint: endpoint.name,
+            active: index === this.currentIndex,
+            connects: endpoint.connects,
+            failures: endpoint.failures,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            lastConnectedAt: endpoint.lastConnectedAt,
+            lastError: endpoint.lastError
+        }));
+    }
+}
+
+function parseEndpointList(list, fallback) {
+    return (list || fallback || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+module.exports = { PooledJsonRpcProvider, WebSocketEndpointPool, parseEndpointList };
@@ -22,8 +22,9 @@ SET timezone = 'Asia/Taipei';
 -- ============================================================================
 -- 功能：存儲每局的基本信息和最終結果
 -- 數據來源：unified-crawler.js (HTTP歷史抓取)
--- 關鍵邏輯：result = (close_price > lock_price) ? 'UP' : 'DOWN'
---          賠率 = (total_amount * 0.97) / 該方金額
+-- 關鍵邏輯：預言機已結算時 result = UP(收盤>開盤) / DOWN(收盤<開盤) / HOUSE(平盤，全歸國庫)
+--          預言機未結算且超過緩衝時間 result = CANCELLED（全額退款）
+--          賠率 = (total_amount * (1 - treasury_fee / 10000)) / 該方金額，獲勝方以合約 reward_amount / reward_base_cal_amount 為準
 
 CREATE TABLE round (
     -- 主鍵：局次編號
@@ -38,17 +39,24 @@ CREATE TABLE round (
     lock_price NUMERIC(20,8),       -- 鎖倉價格（開盤價）
     close_price NUMERIC(20,8),      -- 結算價格（收盤價）
     
-    -- 局次結果：強制UP/DOWN標準
-    result VARCHAR(4) CHECK (result IN ('UP', 'DOWN')),
+    -- 局次結果：方向統一UP/DOWN，另有平盤與取消狀態
+    result VARCHAR(9) CHECK (result IN ('UP', 'DOWN', 'HOUSE', 'CANCELLED')),
+    oracle_called BOOLEAN,          -- 合約 oracleCalled（false 表示局次未正常結算）
     
     -- 金額統計：數值格式避免計算誤差
     total_amount NUMERIC(20,8),     -- 總下注金額
     up_amount NUMERIC(20,8),        -- UP方總金額
     down_amount NUMERIC(20,8),      -- DOWN方總金額
     
-    -- 賠率計算：總金額扣3%手續費後按比例分配
-    up_payout NUMERIC(10,4),        -- UP賠率 = (total_amount * 0.97) / up_amount
-    down_payout NUMERIC(10,4),      -- DOWN賠率 = (total_amount * 0.97) / down_amount
+    -- 賠率計算：總金額扣除該局實際手續費後按比例分配
+    up_payout NUMERIC(10,4),        -- UP賠率（取消局次為1.0000退款）
+    down_payout NUMERIC(10,4),      -- DOWN賠率（取消局次為1.0000退款）
+    
+    -- 合約獎金數據：直接取自 rounds()
+    treasury_fee INTEGER,                   -- 該局手續費（基點，300 = 3%）
+    reward_base_cal_amount NUMERIC(20,8),   -- 獲勝方總下注金額
+    reward_amount NUMERIC(20,8),            -- 可分配獎金
+    treasury_amount NUMERIC(20,8),          -- 國庫所得
     
     -- 審計欄位
     created_ts TIMESTAMP DEFAULT NOW(),
@@ -77,12 +85,21 @@ CREATE TABLE hisbet (
     bet_direction VARCHAR(4) CHECK (bet_direction IN ('UP', 'DOWN')),
     amount NUMERIC(20,8),           -- 下注金額
     
-    -- 結果計算：對比局次結果得出
-    result VARCHAR(4) CHECK (result IN ('WIN', 'LOSS')),
+    -- 結果計算：對比局次結果得出（平盤為LOSS，取消局次為REFUND）
+    result VARCHAR(6) CHECK (result IN ('WIN', 'LOSS', 'REFUND')),
+    
+    -- 收益計算：依該局合約 reward_amount / reward_base_cal_amount 計算
+    payout NUMERIC(20,8),           -- 應得金額（WIN為獎金，REFUND為本金，LOSS為0）
+    pnl NUMERIC(20,8),              -- 淨損益 = payout - amount
+    
+    -- 領獎對帳：連結對應的claim記錄
+    claim_status VARCHAR(10) CHECK (claim_status IN ('CLAIMED', 'UNCLAIMED', 'REFUNDED')),
+    claim_tx_hash VARCHAR(66),      -- 對應的領獎交易哈希
     
     -- 區塊鏈信息
     tx_hash VARCHAR(66) UNIQUE,     -- 交易哈希（防重複關鍵）
     block_number BIGINT,            -- 區塊號
+    block_hash VARCHAR(66),         -- 區塊哈希（區塊重組檢查用）
     
     -- 審計欄位
     created_ts TIMESTAMP DEFAULT NOW()
@@ -95,6 +112,7 @@ CREATE INDEX idx_hisbet_ts ON hisbet(bet_ts);
 CREATE INDEX idx_hisbet_direction ON hisbet(bet_direction);
 CREATE INDEX idx_hisbet_result ON hisbet(result);
 CREATE INDEX idx_hisbet_block ON hisbet(block_number);
+CREATE INDEX idx_hisbet_claim_status ON hisbet(claim_status);
 
 -- ============================================================================
 -- 3. realbet表 - 即時下注暫存
@@ -106,18 +124,26 @@ CREATE INDEX idx_hisbet_block ON hisbet(block_number);
 CREATE TABLE realbet (
     -- 基本信息
     epoch BIGINT,                   -- 所屬局次
-    bet_ts TIMESTAMP,               -- 下注時間（台北時間）
+    bet_ts TIMESTAMP,               -- 接收時間（台北時間，監聽器收到事件的時間）
+    received_ms BIGINT,             -- 接收時間（Unix毫秒），與區塊時間相減即接收延遲
     wallet_address VARCHAR(42),     -- 錢包地址
     
     -- 下注詳情：強制UP/DOWN標準
     bet_direction VARCHAR(4) CHECK (bet_direction IN ('UP', 'DOWN')),
     amount NUMERIC(20,8),           -- 下注金額
     
+    -- 區塊鏈信息：與hisbet對帳用
+    tx_hash VARCHAR(66),            -- 交易哈希
+    log_index INTEGER,              -- 事件在區塊中的索引
+    block_number BIGINT,            -- 區塊號
+    block_ts TIMESTAMP,             -- 區塊時間（台北時間）
+    
     -- 審計欄位
     created_ts TIMESTAMP DEFAULT NOW(),
     
-    -- 唯一約束：一局一錢包一次下注
-    CONSTRAINT unique_realbet_epoch_wallet UNIQUE (epoch, wallet_address)
+    -- 唯一約束：一局一錢包一次下注；同一事件只寫入一次（重啟、回補與多個監聽實例共用）
+    CONSTRAINT unique_realbet_epoch_wallet UNIQUE (epoch, wallet_address),
+    CONSTRAINT unique_realbet_tx_log UNIQUE (tx_hash, log_index)
 );
 
 -- realbet表索引優化
@@ -125,6 +151,7 @@ CREATE INDEX idx_realbet_epoch ON realbet(epoch);
 CREATE INDEX idx_realbet_wallet ON realbet(wallet_address);
 CREATE INDEX idx_realbet_ts ON realbet(bet_ts);
 CREATE INDEX idx_realbet_direction ON realbet(bet_direction);
+CREATE INDEX idx_realbet_tx_hash ON realbet(tx_hash);
 
 -- ============================================================================
 -- 4. claim表 - 領獎記錄
@@ -146,6 +173,7 @@ CREATE TABLE claim (
     -- 區塊鏈信息
     tx_hash VARCHAR(66),            -- 交易哈希
     block_number BIGINT,            -- 區塊號
+    block_hash VARCHAR(66),         -- 區塊哈希（區塊重組檢查用）
     
     -- 審計欄位
     created_ts TIMESTAMP DEFAULT NOW(),
@@ -166,7 +194,7 @@ CREATE INDEX idx_claim_block ON claim(block_number);
 -- ============================================================================
 -- 功能：檢測並記錄在同一局中領取多個局次獎金的異常行為
 -- 觸發條件：錢包在單一局次中領取3個或以上不同局次的獎金
--- 數據來源：unified-crawler.js 在插入claim後自動檢測
+-- 數據來源：unified-crawler.js 在插入claim後自動檢測；realtime-listener.js 收到Claim事件時即時檢測
 
 CREATE TABLE multi_round_claimer (
     -- 主鍵
@@ -234,7 +262,319 @@ CREATE INDEX idx_failed_epoch_count ON failed_epoch(failure_count);
 CREATE INDEX idx_failed_epoch_attempt ON failed_epoch(last_attempt_ts);
 
 -- ============================================================================
--- 8. 觸發器和函數
+-- 8. block_anchor / epoch_block_range表 - 區塊時間索引
+-- ============================================================================
+-- 功能：持久化已查詢過的區塊時間戳，讓局次區塊範圍查找從鄰近已知區塊開始
+-- 數據來源：historical-crawler.js (BlockIndex)
+-- 特點：時間戳使用Unix秒，僅供區塊搜尋計算，不作顯示用途
+
+CREATE TABLE block_anchor (
+    block_number BIGINT PRIMARY KEY,
+    block_timestamp BIGINT NOT NULL,   -- 區塊時間（Unix秒）
+    created_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- block_anchor表索引
+CREATE INDEX idx_block_anchor_timestamp ON block_anchor(block_timestamp);
+
+CREATE TABLE epoch_block_range (
+    epoch BIGINT PRIMARY KEY,
+    start_timestamp BIGINT NOT NULL,   -- 局次開始時間（Unix秒）
+    end_timestamp BIGINT NOT NULL,     -- 下一局開始時間（Unix秒）
+    from_block BIGINT NOT NULL,        -- 第一個時間 >= start_timestamp 的區塊
+    to_block BIGINT NOT NULL,          -- 第一個時間 >= end_timestamp 的區塊
+    created_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 9. backfill_cursor表 - 歷史回補進度
+-- ============================================================================
+-- 功能：記錄歷史回補引擎的進度，重啟後從中斷處繼續
+-- 數據來源：historical-crawler.js (BackfillEngine)
+-- 特點：upper_epoch以上為新結束的局次，next_epoch以下為尚未回補的局次
+
+CREATE TABLE backfill_cursor (
+    name VARCHAR(50) PRIMARY KEY,      -- 回補任務名稱
+    upper_epoch BIGINT NOT NULL,       -- 已涵蓋的最高局次
+    next_epoch BIGINT NOT NULL,        -- 下一個待處理的局次（向下回補）
+    updated_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 10. round_lifecycle / contract_config_history表 - 合約事件
+-- ============================================================================
+-- 功能：存儲下注與領獎以外的合約事件，追蹤局次生命週期與合約參數變更
+-- 數據來源：historical-crawler.js (與局次數據同一交易寫入)
+-- 特點：round_lifecycle.epoch 為事件參數中的局次，可能不等於抓取時的局次
+
+CREATE TABLE round_lifecycle (
+    epoch BIGINT,                           -- 事件對應的局次
+    event_type VARCHAR(10) CHECK (event_type IN ('START', 'LOCK', 'END', 'REWARDS')),
+    
+    -- 預言機數據：LOCK/END 事件
+    oracle_round_id NUMERIC(78,0),          -- 預言機 roundId
+    price NUMERIC(20,8),                    -- 預言機價格
+    
+    -- 獎金計算：REWARDS 事件
+    reward_base_cal_amount NUMERIC(20,8),   -- 獲勝方總下注金額
+    reward_amount NUMERIC(20,8),            -- 可分配獎金
+    treasury_amount NUMERIC(20,8),          -- 國庫手續費
+    
+    -- 區塊鏈信息
+    event_ts TIMESTAMP,                     -- 事件時間（台北時間）
+    tx_hash VARCHAR(66),
+    log_index INTEGER,
+    block_number BIGINT,
+    block_hash VARCHAR(66),
+    
+    created_ts TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_round_lifecycle_log UNIQUE (tx_hash, log_index)
+);
+
+-- round_lifecycle表索引
+CREATE INDEX idx_round_lifecycle_epoch ON round_lifecycle(epoch);
+CREATE INDEX idx_round_lifecycle_block ON round_lifecycle(block_number);
+
+CREATE TABLE contract_config_history (
+    event_name VARCHAR(40),                 -- Pause, Unpause, NewTreasuryFee, NewOracle 等
+    epoch BIGINT,                           -- Pause/Unpause 的事件局次，其餘為抓取時的局次
+    params JSONB,                           -- 事件參數原始值（金額為wei，手續費為基點）
+    
+    -- 區塊鏈信息
+    event_ts TIMESTAMP,                     -- 事件時間（台北時間）
+    tx_hash VARCHAR(66),
+    log_index INTEGER,
+    block_number BIGINT,
+    block_hash VARCHAR(66),
+    
+    created_ts TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_contract_config_log UNIQUE (tx_hash, log_index)
+);
+
+-- contract_config_history表索引
+CREATE INDEX idx_contract_config_name ON contract_config_history(event_name);
+CREATE INDEX idx_contract_config_block ON contract_config_history(block_number);
+
+-- ============================================================================
+-- 11. audit_discrepancy表 - 數據稽核差異
+-- ============================================================================
+-- 功能：記錄稽核發現的差異（局次金額、下注加總、領獎筆數與鏈上 rounds() 及事件日誌不符）
+-- 數據來源：DataAuditor (historical-crawler.js 定期任務 / scripts/audit_epochs.js)
+-- 特點：每局每種檢查一筆，重新稽核通過後標記 RESOLVED
+
+CREATE TABLE audit_discrepancy (
+    id BIGSERIAL PRIMARY KEY,
+    epoch BIGINT NOT NULL,                  -- 局次
+    check_type VARCHAR(20) NOT NULL,        -- MISSING_ROUND, ROUND_TOTALS, BET_SUM_UP, BET_SUM_DOWN, CLAIM_COUNT
+    expected_value NUMERIC(20,8),           -- 鏈上數值（金額或筆數）
+    actual_value NUMERIC(20,8),             -- 資料庫數值
+    details JSONB,                          -- 補充資訊（分方向金額、區塊範圍等）
+    status VARCHAR(10) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'REQUEUED', 'RESOLVED')),
+    audit_ts TIMESTAMP DEFAULT NOW(),       -- 最近一次稽核時間
+    resolved_ts TIMESTAMP,                  -- 稽核通過時間
+    created_ts TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_audit_epoch_check UNIQUE (epoch, check_type)
+);
+
+-- audit_discrepancy表索引
+CREATE INDEX idx_audit_discrepancy_status ON audit_discrepancy(status);
+
+-- ============================================================================
+-- 12. listener_coverage表 - 即時監聽覆蓋率
+-- ============================================================================
+-- 功能：每局清理realbet前，以tx_hash比對realbet與hisbet，記錄即時監聽的漏接、多收與延遲
+-- 數據來源：historical-crawler.js (cleanupRealbetData)
+-- 特點：延遲 = realbet接收時間 - 區塊時間；每局只記錄第一次計算結果
+
+CREATE TABLE listener_coverage (
+    epoch BIGINT PRIMARY KEY,               -- 局次
+    final_bets INTEGER,                     -- hisbet 下注筆數（鏈上最終結果）
+    realtime_bets INTEGER,                  -- realbet 接收筆數
+    matched INTEGER,                        -- 兩邊tx_hash相符的筆數
+    missed INTEGER,                         -- 監聽漏接 = final_bets - matched
+    extra INTEGER,                          -- 多收（未上鏈或缺tx_hash） = realtime_bets - matched
+    avg_latency_ms INTEGER,                 -- 平均接收延遲（毫秒）
+    p95_latency_ms INTEGER,                 -- P95接收延遲
+    max_latency_ms INTEGER,                 -- 最大接收延遲
+    computed_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 13. pool_snapshot表 - 局內資金池時間軸
+-- ============================================================================
+-- 功能：記錄鎖倉前固定時間點（每5秒及-30/-10/-3秒）的UP/DOWN資金池與即時賠率，用於分析尾盤資金
+-- 數據來源：REALTIME = realtime-listener.js 當下所見；HISBET = historical-crawler.js 以hisbet區塊時間重建
+-- 特點：offset_seconds 為相對 lock_ts 的秒數（<= 0）；HISBET重新抓取時覆蓋，REALTIME每點只記錄一次
+
+CREATE TABLE pool_snapshot (
+    epoch BIGINT NOT NULL,                  -- 局次
+    offset_seconds INTEGER NOT NULL,        -- 相對鎖倉時間的秒數（0 = 鎖倉）
+    source VARCHAR(8) NOT NULL CHECK (source IN ('REALTIME', 'HISBET')),
+    snapshot_ts TIMESTAMP,                  -- 快照時間點 = lock_ts + offset_seconds（台北時間）
+    up_amount NUMERIC(20,8),                -- UP方累計金額
+    down_amount NUMERIC(20,8),              -- DOWN方累計金額
+    total_amount NUMERIC(20,8),             -- 總金額
+    up_count INTEGER,                       -- UP方下注筆數
+    down_count INTEGER,                     -- DOWN方下注筆數
+    up_payout NUMERIC(10,4),                -- 當下UP賠率（該方無下注時為空）
+    down_payout NUMERIC(10,4),              -- 當下DOWN賠率
+    created_ts TIMESTAMP DEFAULT NOW(),
+    
+    PRIMARY KEY (epoch, offset_seconds, source)
+);
+
+-- ============================================================================
+-- 14. wallet_alert表 - 即時下注警報
+-- ============================================================================
+-- 功能：記錄即時規則引擎觸發的警報（鯨魚下注、鎖倉前最後幾秒下注、同區塊多錢包同方向下注）
+-- 數據來源：realtime-listener.js (SuspiciousWalletMonitor)
+-- 特點：dedup_key 由規則與事件決定，重啟、回補或多個監聽實例只會寫入一筆；同區塊規則的錢包列在 evidence.wallets
+
+CREATE TABLE wallet_alert (
+    id BIGSERIAL PRIMARY KEY,
+    rule_id VARCHAR(32) NOT NULL,           -- 規則：whale_bet, last_second_bet, block_pile
+    severity VARCHAR(6) NOT NULL CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+    epoch BIGINT,                           -- 局次
+    wallet_address VARCHAR(42),             -- 觸發錢包（多錢包規則為空）
+    tx_hash VARCHAR(66),                    -- 觸發下注的交易哈希
+    block_number BIGINT,                    -- 區塊號
+    dedup_key VARCHAR(128) NOT NULL,        -- 去重鍵
+    evidence JSONB,                         -- 觸發依據（金額、資金池佔比、距鎖倉秒數、錢包列表等）
+    created_ts TIMESTAMP DEFAULT NOW(),
+    
+    CONSTRAINT unique_wallet_alert_dedup UNIQUE (dedup_key)
+);
+
+-- wallet_alert表索引
+CREATE INDEX idx_wallet_alert_wallet ON wallet_alert(wallet_address);
+CREATE INDEX idx_wallet_alert_epoch ON wallet_alert(epoch);
+CREATE INDEX idx_wallet_alert_rule ON wallet_alert(rule_id);
+
+-- ============================================================================
+-- 15. webhook_delivery / webhook_dead_letter表 - 警報推送
+-- ============================================================================
+-- 功能：記錄警報推送到外部webhook的每次嘗試，以及重試用盡或被拒絕的警報（死信佇列）
+-- 數據來源：AlertDispatcher（wallet_alert 即時警報、multi_round_claimer 多局領獎）
+-- 特點：死信可透過 /api/admin/webhooks/dead-letters/replay 重新推送
+
+CREATE TABLE webhook_delivery (
+    id BIGSERIAL PRIMARY KEY,
+    alert_id VARCHAR(160) NOT NULL,         -- 警報ID（同一警報重送時不變）
+    alert_type VARCHAR(32) NOT NULL,        -- wallet_alert, multi_round_claim
+    destination VARCHAR(100) NOT NULL,      -- 目的地名稱
+    attempt INTEGER NOT NULL,               -- 第幾次嘗試
+    status_code INTEGER,                    -- HTTP狀態碼（連線失敗為空）
+    error TEXT,                             -- 失敗原因
+    duration_ms INTEGER,                    -- 請求耗時
+    delivered BOOLEAN NOT NULL,             -- 是否成功
+    created_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- webhook_delivery表索引
+CREATE INDEX idx_webhook_delivery_alert ON webhook_delivery(alert_id);
+
+CREATE TABLE webhook_dead_letter (
+    id BIGSERIAL PRIMARY KEY,
+    alert_id VARCHAR(160) NOT NULL,         -- 警報ID
+    alert_type VARCHAR(32) NOT NULL,        -- 警報類型
+    destination VARCHAR(100) NOT NULL,      -- 目的地名稱
+    payload JSONB NOT NULL,                 -- 完整推送內容
+    attempts INTEGER NOT NULL,              -- 已嘗試次數
+    last_error TEXT,                        -- 最後一次失敗原因
+    status VARCHAR(8) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'REPLAYED')),
+    created_ts TIMESTAMP DEFAULT NOW(),
+    replayed_ts TIMESTAMP                   -- 重新推送時間
+);
+
+-- webhook_dead_letter表索引
+CREATE INDEX idx_webhook_dead_letter_status ON webhook_dead_letter(status);
+
+-- ============================================================================
+-- 16. multi_round_claimer_review表 - 多局領獎審核紀錄
+-- ============================================================================
+-- 功能：記錄多局領獎檢測的每次審核（狀態變更與備註），只新增不修改
+-- 數據來源：/api/admin/multi-claimers/:id/review
+-- 特點：以領獎局次+錢包關聯，重新抓取後重建的檢測記錄仍能查到歷史審核
+
+CREATE TABLE multi_round_claimer_review (
+    id BIGSERIAL PRIMARY KEY,
+    claimer_id INTEGER NOT NULL,            -- 審核當時的 multi_round_claimer.id
+    claim_epoch BIGINT NOT NULL,            -- 領獎局次
+    wallet_address VARCHAR(42) NOT NULL,    -- 領獎錢包
+    from_status VARCHAR(20) NOT NULL,       -- 原狀態
+    to_status VARCHAR(20) NOT NULL,         -- 新狀態（與原狀態相同表示僅新增備註）
+    reviewer VARCHAR(50) NOT NULL,          -- 審核人
+    note TEXT,                              -- 審核備註
+    created_ts TIMESTAMP DEFAULT NOW()
+);
+
+-- multi_round_claimer_review表索引
+CREATE INDEX idx_claimer_review_claim ON multi_round_claimer_review(claim_epoch, wallet_address);
+
+-- ============================================================================
+-- 17. wallet_cluster表 - 共同下注錢包群組
+-- ============================================================================
+-- 功能：找出經常在同一局、同方向、相同或相鄰區塊、以相近金額下注的錢包，並分群
+-- 數據來源：WalletClusterAnalyzer 定期分析 hisbet（scripts/analyze_wallet_clusters.js 可手動執行）
+-- 特點：每次分析整批取代上一次結果；配對分數為兩錢包共同下注局數 / 任一錢包下注局數（Jaccard）
+
+CREATE TABLE wallet_cluster_run (
+    id BIGSERIAL PRIMARY KEY,
+    from_epoch BIGINT NOT NULL,             -- 分析起始局次
+    to_epoch BIGINT NOT NULL,               -- 分析結束局次
+    params JSONB,                           -- 分析參數（區塊間距、金額容差、最少共同下注、最低分數）
+    pair_count INTEGER NOT NULL,            -- 配對數
+    cluster_count INTEGER NOT NULL,         -- 群組數
+    duration_ms INTEGER,                    -- 分析耗時
+    created_ts TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE wallet_cluster (
+    run_id BIGINT REFERENCES wallet_cluster_run(id) ON DELETE CASCADE,
+    cluster_no INTEGER,                     -- 群組編號（依成員數排序）
+    member_count INTEGER NOT NULL,          -- 成員數
+    pair_count INTEGER NOT NULL,            -- 群組內配對數
+    avg_score NUMERIC(6,4),                 -- 平均配對分數
+    max_co_bets INTEGER,                    -- 最多共同下注局數
+    PRIMARY KEY (run_id, cluster_no)
+);
+
+CREATE TABLE wallet_cluster_member (
+    run_id BIGINT,
+    cluster_no INTEGER,
+    wallet_address VARCHAR(42),
+    bets INTEGER NOT NULL,                  -- 分析範圍內下注數
+    wins INTEGER NOT NULL,                  -- 分析範圍內勝場數
+    total_amount NUMERIC(20,8),             -- 分析範圍內下注總額
+    total_pnl NUMERIC(20,8),                -- 分析範圍內淨損益
+    PRIMARY KEY (run_id, wallet_address),
+    FOREIGN KEY (run_id, cluster_no) REFERENCES wallet_cluster(run_id, cluster_no) ON DELETE CASCADE
+);
+
+CREATE TABLE wallet_cluster_pair (
+    run_id BIGINT,
+    cluster_no INTEGER,
+    wallet_a VARCHAR(42),                   -- 地址較小的錢包
+    wallet_b VARCHAR(42),                   -- 地址較大的錢包
+    co_bets INTEGER NOT NULL,               -- 共同下注局數
+    bets_a INTEGER NOT NULL,                -- wallet_a 下注局數
+    bets_b INTEGER NOT NULL,                -- wallet_b 下注局數
+    score NUMERIC(6,4) NOT NULL,            -- 配對分數
+    first_epoch BIGINT,                     -- 首次共同下注局次
+    last_epoch BIGINT,                      -- 最近共同下注局次
+    PRIMARY KEY (run_id, wallet_a, wallet_b),
+    FOREIGN KEY (run_id, cluster_no) REFERENCES wallet_cluster(run_id, cluster_no) ON DELETE CASCADE
+);
+
+-- wallet_cluster表索引
+CREATE INDEX idx_wallet_cluster_member_cluster ON wallet_cluster_member(run_id, cluster_no);
+CREATE INDEX idx_wallet_cluster_pair_cluster ON wallet_cluster_pair(run_id, cluster_no);
+
+-- ============================================================================
+-- 18. 觸發器和函數
 -- ============================================================================
 
 -- 自動更新 updated_ts 觸發器函數
@@ -253,14 +593,14 @@ CREATE TRIGGER update_round_updated_ts
     EXECUTE FUNCTION update_updated_ts();
 
 -- ============================================================================
--- 9. 視圖定義 (已移除不需要的統計視圖)
+-- 19. 視圖定義 (已移除不需要的統計視圖)
 -- ============================================================================
 
 -- 注意：原先的 wallet_win_rate 和 round_stats 視圖已被移除
 -- 這些統計視圖會增加數據庫查詢負擔，且對核心爬蟲功能非必要
 
 -- ============================================================================
--- 10. 數據完整性約束
+-- 20. 數據完整性約束
 -- ============================================================================
 
 -- 確保 round 表的賠率邏輯正確
@@ -292,7 +632,7 @@ ALTER TABLE round ADD CONSTRAINT check_time_sequence
     CHECK (start_ts <= lock_ts AND lock_ts <= close_ts);
 
 -- ============================================================================
--- 11. 權限設置
+-- 21. 權限設置
 -- ============================================================================
 
 -- 創建只讀角色（用於前端查詢）
@@ -305,7 +645,7 @@ GRANT SELECT, INSERT, UPDATE ON ALL TABLES IN SCHEMA public TO v6_readwrite;
 GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO v6_readwrite;
 
 -- ============================================================================
--- 12. 註釋說明
+-- 22. 註釋說明
 -- ============================================================================
 
 COMMENT ON TABLE round IS 'V6局次主表：存儲每局完整信息和結果';
@@ -313,9 +653,27 @@ COMMENT ON TABLE hisbet IS 'V6歷史下注：HTTP抓取的完整下注記錄（
 COMMENT ON TABLE realbet IS 'V6即時下注：WebSocket接收的即時下注暫存';
 COMMENT ON TABLE claim IS 'V6領獎記錄：所有領獎交易記錄';
 COMMENT ON TABLE multi_round_claimer IS 'V6異常檢測：一次領取多局獎金的可疑行為';
-
-COMMENT ON COLUMN round.result IS '局次結果：UP(收盤>開盤) 或 DOWN(收盤<=開盤)';
-COMMENT ON COLUMN hisbet.result IS '下注結果：WIN(方向正確) 或 LOSS(方向錯誤)';
+COMMENT ON TABLE block_anchor IS 'V6區塊索引：已知區塊的時間戳錨點';
+COMMENT ON TABLE epoch_block_range IS 'V6區塊索引：每局對應的區塊範圍快取';
+COMMENT ON TABLE backfill_cursor IS 'V6歷史回補：回補引擎的斷點進度';
+COMMENT ON TABLE round_lifecycle IS 'V6合約事件：局次開始、鎖倉、結束與獎金計算';
+COMMENT ON TABLE contract_config_history IS 'V6合約事件：暫停、手續費、預言機等合約參數變更歷史';
+COMMENT ON TABLE audit_discrepancy IS 'V6數據稽核：資料庫與鏈上數據不符的局次';
+COMMENT ON TABLE listener_coverage IS 'V6監聽品質：每局即時下注與最終下注的比對結果';
+COMMENT ON TABLE pool_snapshot IS 'V6資金池時間軸：鎖倉前各時間點的資金池與賠率';
+COMMENT ON TABLE wallet_alert IS 'V6即時警報：規則引擎對即時下注觸發的警報';
+COMMENT ON TABLE webhook_delivery IS 'V6警報推送：每次webhook推送嘗試的結果';
+COMMENT ON TABLE webhook_dead_letter IS 'V6警報推送：重試用盡或被拒絕的警報（死信佇列）';
+COMMENT ON TABLE multi_round_claimer_review IS 'V6異常檢測：多局領獎檢測的審核紀錄';
+COMMENT ON TABLE wallet_cluster_run IS 'V6錢包群組：共同下注分析的執行紀錄（只保留最新一次）';
+COMMENT ON TABLE wallet_cluster IS 'V6錢包群組：經常共同下注的錢包群組';
+COMMENT ON TABLE wallet_cluster_member IS 'V6錢包群組：群組成員與分析範圍內的損益';
+COMMENT ON TABLE wallet_cluster_pair IS 'V6錢包群組：共同下注的錢包配對與分數';
+
+COMMENT ON COLUMN round.result IS '局次結果：UP(收盤>開盤)、DOWN(收盤<開盤)、HOUSE(平盤) 或 CANCELLED(未結算退款)';
+COMMENT ON COLUMN round.treasury_fee IS '該局實際手續費（基點）';
+COMMENT ON COLUMN hisbet.result IS '下注結果：WIN(方向正確)、LOSS(方向錯誤或平盤) 或 REFUND(局次取消)';
+COMMENT ON COLUMN hisbet.claim_status IS '領獎狀態：CLAIMED(已領獎)、UNCLAIMED(未領取)、REFUNDED(已退款)，LOSS為空';
 COMMENT ON COLUMN multi_round_claimer.bet_epochs IS '陣列：該錢包在此局領取了哪些局次的獎金';
 
 -- ============================================================================
@@ -4,6 +4,13 @@ const dotenv = require('dotenv');
 const ConnectionManager = require('./db/ConnectionManager');
 const HistoricalCrawler = require('./workers/historical-crawler');
 const RealtimeListener = require('./workers/realtime-listener');
+const FailedEpochManager = require('./services/FailedEpochManager');
+const ListenerCoverage = require('./services/ListenerCoverage');
+const PoolTimeline = require('./services/PoolTimeline');
+const AlertDispatcher = require('./services/AlertDispatcher');
+const ClaimerReview = require('./services/ClaimerReview');
+const WalletClusterAnalyzer = require('./services/WalletClusterAnalyzer');
+const createAdminRouter = require('./routes/admin');
 
 if (process.env.NODE_ENV !== 'production') {
     dotenv.config();
@@ -14,6 +21,7 @@ const PORT = process.env.PORT || 3000;
 
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, '../public')));
+app.use(express.json());
 
 async function startServer() {
     try {
@@ -23,15 +31,84 @@ async function startServer() {
         const historicalCrawler = new HistoricalCrawler();
         const realtimeListener = new RealtimeListener();
 
+        const walletClusterAnalyzer = new WalletClusterAnalyzer(ConnectionManager);
+
         await historicalCrawler.initialize();
         // API endpoint for status
         app.get('/api/status', (req, res) => {
             res.json({
                 historicalCrawler: historicalCrawler.getStats(),
                 realtimeListener: realtimeListener.getStatus(),
-                connectionManager: ConnectionManager.getConnectionStats()
+                connectionManager: ConnectionManager.getConnectionStats(),
+                alertDispatcher: AlertDispatcher.getStats(),
+                walletClusters: walletClusterAnalyzer.getStats()
             });
         });
+        const listenerCoverage = new ListenerCoverage(ConnectionManager);
+        app.get('/api/listener-coverage', async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+                res.json(await listenerCoverage.getCoverage(limit));
+            } catch (error) {
+                console.error('❌ Error fetching listener coverage:', error);
+                res.status(500).json({ error: 'Failed to fetch listener coverage' });
+            }
+        });
+        const poolTimeline = new PoolTimeline(ConnectionManager);
+        app.get('/api/pool-timeline/:epoch', async (req, res) => {
+            const epoch = parseInt(req.params.epoch, 10);
+            const source = req.query.source ? String(req.query.source).toUpperCase() : null;
+            if (Number.isNaN(epoch) || epoch <= 0 || (source && !['REALTIME', 'HISBET'].includes(source))) {
+                return res.status(400).json({ error: 'epoch must be a positive integer and source REALTIME or HISBET' });
+            }
+            try {
+                res.json(await poolTimeline.getTimeline(epoch, source));
+            } catch (error) {
+                console.error('❌ Error fetching pool timeline:', error);
+                res.status(500).json({ error: 'Failed to fetch pool timeline' });
+            }
+        });
+        app.get('/api/alerts', async (req, res) => {
+            const wallet = req.query.wallet ? String(req.query.wallet).toLowerCase() : null;
+            const epoch = req.query.epoch ? parseInt(req.query.epoch, 10) : null;
+            if ((wallet && !/^0x[0-9a-f]{40}$/.test(wallet)) || Number.isNaN(epoch)) {
+                return res.status(400).json({ error: 'wallet must be a 0x address and epoch an integer' });
+            }
+            try {
+                res.json(await realtimeListener.suspiciousMonitor.listAlerts({
+                    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+                    wallet,
+                    ruleId: req.query.rule ? String(req.query.rule) : null,
+                    severity: req.query.severity ? String(req.query.severity).toUpperCase() : null,
+                    epoch
+                }));
+            } catch (error) {
+                console.error('❌ Error fetching wallet alerts:', error);
+                res.status(500).json({ error: 'Failed to fetch wallet alerts' });
+            }
+        });
+        app.get('/api/clusters', async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+                res.json(await walletClusterAnalyzer.listClusters(limit));
+            } catch (error) {
+                console.error('❌ Error listing wallet clusters:', error);
+                res.status(500).json({ error: 'Failed to list wallet clusters' });
+            }
+        });
+        app.get('/api/clusters/wallet/:address', async (req, res) => {
+            const wallet = String(req.params.address).toLowerCase();
+            if (!/^0x[0-9a-f]{40}$/.test(wallet)) {
+                return res.status(400).json({ error: 'address must be a 0x address' });
+            }
+            try {
+                res.json(await walletClusterAnalyzer.getWalletCluster(wallet));
+            } catch (error) {
+                console.error('❌ Error fetching wallet cluster:', error);
+                res.status(500).json({ error: 'Failed to fetch wallet cluster' });
+            }
+        });
+        app.use('/api/admin', createAdminRouter(new FailedEpochManager(historicalCrawler), new ClaimerReview(ConnectionManager)));
 
         const server = app.listen(PORT, '0.0.0.0', () => {
             console.log(`✅ Web server is running on port ${PORT}`)
@@ -43,6 +120,7 @@ async function startServer() {
 
         // Start background workers
         historicalCrawler.start();
+        walletClusterAnalyzer.start();
         // Realtime listener is already started by its initialize method
 
     } catch (error) {
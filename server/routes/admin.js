@@ -0,0 +1,160 @@
+const express = require('express');
+const FailedEpochManager = require('../services/FailedEpochManager');
+const AlertDispatcher = require('../services/AlertDispatcher');
+const ClaimerReview = require('../services/ClaimerReview');
+
+function requireAdminToken(req, res, next) {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'Admin API is disabled: ADMIN_API_TOKEN is not configured' });
+    }
+    if (req.get('x-admin-token') !== token) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+const MAX_RECRAWL_RANGE = parseInt(process.env.ADMIN_MAX_RECRAWL_RANGE || '100', 10);
+
+function createAdminRouter(failedEpochManager, claimerReview) {
+    const router = express.Router();
+    router.use(requireAdminToken);
+
+    router.get('/failed-epochs', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const offset = parseInt(req.query.offset, 10) || 0;
+            res.json(await failedEpochManager.listFailures(limit, offset));
+        } catch (error) {
+            console.error('❌ Error listing failed epochs:', error);
+            res.status(500).json({ error: 'Failed to list failed epochs' });
+        }
+    });
+
+    router.post('/failed-epochs/clear', async (req, res) => {
+        let range;
+        try {
+            range = FailedEpochManager.parseEpochRange(req.body.fromEpoch, req.body.toEpoch);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        try {
+            res.json(await failedEpochManager.clearFailures(range.fromEpoch, range.toEpoch, req.body.dryRun === true));
+        } catch (error) {
+            console.error('❌ Error clearing failed epochs:', error);
+            res.status(500).json({ error: 'Failed to clear failed epochs' });
+        }
+    });
+
+    router.post('/failed-epochs/recrawl', async (req, res) => {
+        let range;
+        try {
+            range = FailedEpochManager.parseEpochRange(req.body.fromEpoch, req.body.toEpoch);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (range.toEpoch - range.fromEpoch + 1 > MAX_RECRAWL_RANGE) {
+            return res.status(400).json({ error: `Re-crawl range is limited to ${MAX_RECRAWL_RANGE} epochs per request` });
+        }
+        const job = failedEpochManager.enqueueRecrawl(range.fromEpoch, range.toEpoch, req.body.dryRun === true);
+        res.status(202).location(`${req.baseUrl}/failed-epochs/recrawl/${job.id}`).json(job);
+    });
+
+    router.get('/failed-epochs/recrawl/:jobId', (req, res) => {
+        const job = failedEpochManager.getJob(parseInt(req.params.jobId, 10));
+        if (!job) return res.status(404).json({ error: `Re-crawl job ${req.params.jobId} not found` });
+        res.json(job);
+    });
+
+    router.get('/webhooks/dead-letters', async (req, res) => {
+        const status = String(req.query.status || 'PENDING').toUpperCase();
+        if (!['PENDING', 'REPLAYED'].includes(status)) {
+            return res.status(400).json({ error: 'status must be PENDING or REPLAYED' });
+        }
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            res.json(await AlertDispatcher.listDeadLetters(status, limit));
+        } catch (error) {
+            console.error('❌ Error listing webhook dead letters:', error);
+            res.status(500).json({ error: 'Failed to list webhook dead letters' });
+        }
+    });
+
+    router.post('/webhooks/dead-letters/replay', async (req, res) => {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of dead letter ids' });
+        }
+        try {
+            res.json({ replayed: await AlertDispatcher.replayDeadLetters(ids) });
+        } catch (error) {
+            console.error('❌ Error replaying webhook dead letters:', error);
+            res.status(500).json({ error: 'Failed to replay webhook dead letters' });
+        }
+    });
+
+    router.get('/multi-claimers', async (req, res) => {
+        const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+        const wallet = req.query.wallet ? String(req.query.wallet).toLowerCase() : null;
+        const fromEpoch = req.query.fromEpoch ? parseInt(req.query.fromEpoch, 10) : null;
+        const toEpoch = req.query.toEpoch ? parseInt(req.query.toEpoch, 10) : null;
+        if ((status && !['detected', 'reviewed', 'resolved'].includes(status)) || (wallet && !/^0x[0-9a-f]{40}$/.test(wallet)) || Number.isNaN(fromEpoch) || Number.isNaN(toEpoch)) {
+            return res.status(400).json({ error: 'status must be detected, reviewed or resolved, wallet a 0x address and fromEpoch/toEpoch integers' });
+        }
+        try {
+            res.json(await claimerReview.listDetections({
+                status,
+                wallet,
+                fromEpoch,
+                toEpoch,
+                limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+                offset: parseInt(req.query.offset, 10) || 0
+            }));
+        } catch (error) {
+            console.error('❌ Error listing multi-round claimers:', error);
+            res.status(500).json({ error: 'Failed to list multi-round claimers' });
+        }
+    });
+
+    router.get('/multi-claimers/:id', async (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (Number.isNaN(id) || id <= 0) {
+            return res.status(400).json({ error: 'id must be a positive integer' });
+        }
+        try {
+            const detection = await claimerReview.getDetection(id);
+            if (!detection) return res.status(404).json({ error: `Detection ${id} not found` });
+            res.json(detection);
+        } catch (error) {
+            console.error('❌ Error fetching multi-round claimer:', error);
+            res.status(500).json({ error: 'Failed to fetch multi-round claimer' });
+        }
+    });
+
+    router.post('/multi-claimers/:id/review', async (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        let review;
+        try {
+            if (Number.isNaN(id) || id <= 0) throw new Error('id must be a positive integer');
+            review = ClaimerReview.parseReview(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        try {
+            const outcome = await claimerReview.review(id, review);
+            if (outcome.result === 'not_found') return res.status(404).json({ error: `Detection ${id} not found` });
+            if (outcome.result === 'invalid_transition') {
+                return res.status(409).json({ error: `Cannot move detection from ${outcome.from} to ${review.status}${review.status === outcome.from ? ' without a note' : ''}`, allowed: outcome.allowed });
+            }
+            if (outcome.result === 'conflict') return res.status(409).json({ error: `Detection ${id} changed while it was being reviewed` });
+            res.json(await claimerReview.getDetection(id));
+        } catch (error) {
+            console.error('❌ Error reviewing multi-round claimer:', error);
+            res.status(500).json({ error: 'Failed to review multi-round claimer' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const ConnectionManager = require('../db/ConnectionManager');
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+// Pushes alerts to the webhooks in WEBHOOK_DESTINATIONS, a JSON array of
+//   { name, url, secret?, types?: ['wallet_alert', 'multi_round_claim'], minSeverity?, rules?: [ruleId], wallets?: [address] }
+// Every attempt is written to webhook_delivery; alerts that exhaust their retries or are rejected outright go to
+// webhook_dead_letter. Retries live in memory, so a restart leaves in-flight alerts to the dead-letter replay.
+//
+// Request body: { id, type, severity, occurredAt, data }. Receivers verify
+//   X-Alert-Signature = 'sha256=' + HMAC-SHA256(secret, `${X-Alert-Timestamp}.${body}`)
+class AlertDispatcher {
+    constructor() {
+        this.destinations = AlertDispatcher.parseDestinations(process.env.WEBHOOK_DESTINATIONS);
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+        this.baseBackoff = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '1000', 10);
+        this.maxBackoff = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '60000', 10);
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+        this.pending = new Set(); // Retry timers
+        this.stats = { dispatched: 0, delivered: 0, failedAttempts: 0, deadLettered: 0 };
+    }
+
+    // Runs when the module loads, so a bad setting disables alerting (or one destination) instead of stopping the server
+    static parseDestinations(json) {
+        if (!json) return [];
+        let destinations;
+        try {
+            destinations = JSON.parse(json);
+        } catch (error) {
+            console.error(`❌ [AlertDispatcher] WEBHOOK_DESTINATIONS is not valid JSON, alerting is disabled: ${error.message}`);
+            return [];
+        }
+        if (!Array.isArray(destinations)) {
+            console.error('❌ [AlertDispatcher] WEBHOOK_DESTINATIONS must be a JSON array, alerting is disabled');
+            return [];
+        }
+        return destinations.map((destination, index) => {
+            try {
+                return AlertDispatcher.parseDestination(destination, index);
+            } catch (error) {
+                console.error(`❌ [AlertDispatcher] Skipping webhook destination: ${error.message}`);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    static parseDestination(destination, index) {
+        if (!destination || typeof destination.url !== 'string') throw new Error(`Webhook destination ${index} has no url`);
+        let url;
+        try {
+            url = new URL(destination.url);
+        } catch (error) {
+            throw new Error(`Webhook destination ${index} has an invalid url`);
+        }
+        if (destination.minSeverity && !SEVERITY_RANK[destination.minSeverity]) throw new Error(`Webhook destination ${index} has an unknown minSeverity`);
+        for (const filter of ['types', 'rules', 'wallets']) {
+            if (destination[filter] && !Array.isArray(destination[filter])) throw new Error(`Webhook destination ${index} ${filter} must be an array`);
+        }
+        return {
+            name: destination.name || url.host,
+            url: destination.url,
+            secret: destination.secret || process.env.WEBHOOK_SECRET || null,
+            types: destination.types || null,
+            minSeverity: destination.minSeverity || null,
+            rules: destination.rules || null,
+            wallets: destination.wallets ? destination.wallets.map(wallet => wallet.toLowerCase()) : null
+        };
+    }
+
+    static matches(destination, alert) {
+        if (destination.types && !destination.types.includes(alert.type)) return false;
+        if (destination.minSeverity && SEVERITY_RANK[alert.severity] < SEVERITY_RANK[destination.minSeverity]) return false;
+        if (destination.rules && alert.data.rule_id && !destination.rules.includes(alert.data.rule_id)) return false;
+        if (destination.wallets) {
+            const wallets = [alert.data.wallet_address, ...((alert.data.evidence && alert.data.evidence.wallets) || [])];
+            if (!wallets.some(wallet => wallet && destination.wallets.includes(wallet))) return false;
+        }
+        return true;
+    }
+
+    static sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    // id is stable for the same underlying alert so receivers can drop repeats
+    dispatch(type, id, severity, data) {
+        const alert = { id, type, severity, occurredAt: new Date().toISOString(), data };
+        for (const destination of this.destinations) {
+            if (!AlertDispatcher.matches(destination, alert)) continue;
+            this.stats.dispatched++;
+            this.deliver(destination, alert, 1);
+        }
+    }
+
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.maxBackoff, this.baseBackoff * 2 ** (attempt - 1));
+        return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    async deliver(destination, alert, attempt) {
+        const body = JSON.stringify(alert);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'Content-Type': 'application/json', 'X-Alert-Id': alert.id, 'X-Alert-Timestamp': timestamp, 'X-Alert-Attempt': String(attempt) };
+        if (destination.secret) headers['X-Alert-Signature'] = AlertDispatcher.sign(destination.secret, timestamp, body);
+
+        const startedAt = Date.now();
+        let statusCode = null;
+        let errorMessage = null;
+        try {
+            const response = await fetch(destination.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeout) });
+            statusCode = response.status;
+            if (!response.ok) errorMessage = `HTTP ${response.status}`;
+        } catch (error) {
+            errorMessage = error.message;
+        }
+        const delivered = errorMessage === null;
+        await this.logAttempt(destination, alert, attempt, statusCode, errorMessage, Date.now() - startedAt, delivered);
+
+        if (delivered) {
+            this.stats.delivered++;
+            return;
+        }
+        this.stats.failedAttempts++;
+        // Client errors other than timeouts and throttling will not succeed on retry
+        const permanent = statusCode !== null && statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+        if (permanent || attempt >= this.maxAttempts) {
+            console.error(`❌ [AlertDispatcher] Giving up on alert ${alert.id} for ${destination.name} after ${attempt} attempts: ${errorMessage}`);
+            await this.deadLetter(destination, alert, attempt, errorMessage);
+            return;
+        }
+        const delay = this.backoffDelay(attempt);
+        console.warn(`⚠️ [AlertDispatcher] Delivery of ${alert.id} to ${destination.name} failed (${errorMessage}), retrying in ${delay}ms`);
+        const timer = setTimeout(() => {
+            this.pending.delete(timer);
+            this.deliver(destination, alert, attempt + 1);
+        }, delay);
+        this.pending.add(timer);
+    }
+
+    // Logging must not break delivery, so database errors are only reported
+    async logAttempt(destination, alert, attempt, statusCode, errorMessage, durationMs, delivered) {
+        try {
+            await ConnectionManager.executeQuery(
+                `INSERT INTO webhook_delivery (alert_id, alert_type, destination, attempt, status_code, error, duration_ms, delivered)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                [alert.id, alert.type, destination.name, attempt, statusCode, errorMessage, durationMs, delivered]
+            );
+        } catch (error) {
+            console.error('❌ [AlertDispatcher] Failed to log webhook delivery:', error.message);
+        }
+    }
+
+    async deadLetter(destination, alert, attempts, lastError) {
+        this.stats.deadLettered++;
+        try {
+            await ConnectionManager.executeQuery(
+                `INSERT INTO webhook_dead_letter (alert_id, alert_type, destination, payload, attempts, last_error)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [alert.id, alert.type, destination.name, JSON.stringify(alert), attempts, lastError]
+            );
+        } catch (error) {
+            console.error('❌ [AlertDispatcher] Failed to dead-letter alert:', error.message);
+        }
+    }
+
+    async listDeadLetters(status = 'PENDING', limit = 100) {
+        const result = await ConnectionManager.executeQuery(
+            `SELECT id, alert_id, alert_type, destination, attempts, last_error, status, created_ts, replayed_ts
+             FROM webhook_dead_letter WHERE status = $1 ORDER BY id DESC LIMIT $2`,
+            [status, limit]
+        );
+        return result.rows;
+    }
+
+    // Sends pending dead letters again with a fresh retry budget; destinations removed from the config are skipped
+    async replayDeadLetters(ids) {
+        const result = await ConnectionManager.executeQuery(
+            `UPDATE webhook_dead_letter SET status = 'REPLAYED', replayed_ts = NOW()
+             WHERE id = ANY($1::bigint[]) AND status = 'PENDING' AND destination = ANY($2::text[]) RETURNING id, destination, payload`,
+            [ids, this.destinations.map(destination => destination.name)]
+        );
+        for (const row of result.rows) {
+            this.deliver(this.destinations.find(destination => destination.name === row.destination), row.payload, 1);
+        }
+        return result.rows.map(row => Number(row.id));
+    }
+
+    close() {
+        this.pending.forEach(clearTimeout);
+        this.pending.clear();
+    }
+
+    getStats() {
+        return { ...this.stats, destinations: this.destinations.map(destination => destination.name), retrying: this.pending.size };
+    }
+}
+
+module.exports = new AlertDispatcher();
@@ -0,0 +1,117 @@
+class BackfillEngine {
+    constructor(crawler, options = {}) {
+        this.crawler = crawler;
+        this.connectionManager = crawler.connectionManager;
+        this.cursorName = options.cursorName || 'history';
+        this.concurrency = options.concurrency || parseInt(process.env.BACKFILL_CONCURRENCY || '4', 10);
+        this.rangeSize = options.rangeSize || parseInt(process.env.BACKFILL_RANGE_SIZE || '200', 10);
+        this.minEpoch = options.minEpoch || parseInt(process.env.BACKFILL_MIN_EPOCH || '1', 10);
+        this.shouldStop = false;
+        this.stats = { rangesCompleted: 0, epochsQueued: 0, epochsSucceeded: 0, epochsFailed: 0, cursor: null };
+    }
+
+    async run(topEpoch) {
+        this.shouldStop = false;
+        const cursor = await this.loadCursor(topEpoch);
+        console.log(`📚 [BackfillEngine] Resuming '${this.cursorName}': upper=${cursor.upper_epoch}, next=${cursor.next_epoch}, concurrency=${this.concurrency}`);
+
+        // Epochs that finished since the cursor was created sit above upper_epoch. It only moves up to the lowest epoch
+        // still missing, typically the newest ones short of confirmations, so the next run picks those up again.
+        if (topEpoch > cursor.upper_epoch) {
+            const gaps = await this.processRange(cursor.upper_epoch + 1, topEpoch);
+            if (this.shouldStop) return;
+            const upperEpoch = gaps.length > 0 ? gaps[gaps.length - 1] - 1 : topEpoch;
+            if (upperEpoch > cursor.upper_epoch) {
+                cursor.upper_epoch = upperEpoch;
+                await this.saveCursor(cursor);
+            }
+        }
+
+        while (!this.shouldStop && cursor.next_epoch >= this.minEpoch) {
+            const high = cursor.next_epoch;
+            const low = Math.max(this.minEpoch, high - this.rangeSize + 1);
+            const gaps = await this.processRange(low, high);
+            if (this.shouldStop) break;
+            if (gaps.length > 0) {
+                console.log(`⏸️ [BackfillEngine] Epochs ${low}-${high} still have ${gaps.length} missing (${gaps.slice(0, 10).join(', ')}), retrying from epoch ${high} next run.`);
+                break;
+            }
+            cursor.next_epoch = low - 1;
+            await this.saveCursor(cursor);
+            this.stats.rangesCompleted++;
+        }
+
+        if (cursor.next_epoch < this.minEpoch) {
+            console.log(`🏁 [BackfillEngine] '${this.cursorName}' reached epoch ${this.minEpoch}, backfill complete.`);
+        }
+    }
+
+    // Returns the epochs still missing after the passes. Some are not written anywhere yet (unconfirmed, in flight,
+    // not finished) and failing ones only reach failed_epoch's skip threshold over several runs, so the callers keep
+    // their cursor below them instead of stepping over them.
+    async processRange(low, high) {
+        let gaps = await this.findGaps(low, high);
+        for (let pass = 1; pass <= this.crawler.maxEpochFailures && gaps.length > 0 && !this.shouldStop; pass++) {
+            console.log(`🔍 [BackfillEngine] Epochs ${low}-${high}: ${gaps.length} missing (pass ${pass}), processing with ${this.concurrency} workers...`);
+            await this.processEpochs(gaps);
+            gaps = await this.findGaps(low, high);
+        }
+        return gaps;
+    }
+
+    async processEpochs(gaps) {
+        this.stats.epochsQueued += gaps.length;
+        const queue = [...gaps];
+        const worker = async () => {
+            while (!this.shouldStop && queue.length > 0) {
+                const epoch = queue.shift();
+                const success = await this.crawler.processEpochData(epoch);
+                if (success) this.stats.epochsSucceeded++;
+                else this.stats.epochsFailed++;
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, gaps.length) }, worker));
+    }
+
+    async findGaps(low, high) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT s.epoch
+             FROM generate_series($1::bigint, $2::bigint) AS s(epoch)
+             LEFT JOIN round r ON r.epoch = s.epoch
+             LEFT JOIN failed_epoch f ON f.epoch = s.epoch AND f.failure_count >= $3
+             WHERE r.epoch IS NULL AND f.epoch IS NULL
+             ORDER BY s.epoch DESC`,
+            [low, high, this.crawler.maxEpochFailures]
+        );
+        return result.rows.map(row => Number(row.epoch));
+    }
+
+    async loadCursor(topEpoch) {
+        await this.connectionManager.executeQuery(
+            'INSERT INTO backfill_cursor (name, upper_epoch, next_epoch) VALUES ($1, $2, $2) ON CONFLICT (name) DO NOTHING',
+            [this.cursorName, topEpoch]
+        );
+        const result = await this.connectionManager.executeQuery('SELECT upper_epoch, next_epoch FROM backfill_cursor WHERE name = $1', [this.cursorName]);
+        const cursor = { upper_epoch: Number(result.rows[0].upper_epoch), next_epoch: Number(result.rows[0].next_epoch) };
+        this.stats.cursor = { ...cursor };
+        return cursor;
+    }
+
+    async saveCursor(cursor) {
+        await this.connectionManager.executeQuery(
+            'UPDATE backfill_cursor SET upper_epoch = $2, next_epoch = $3, updated_ts = NOW() WHERE name = $1',
+            [this.cursorName, cursor.upper_epoch, cursor.next_epoch]
+        );
+        this.stats.cursor = { ...cursor };
+    }
+
+    stop() {
+        this.shouldStop = true;
+    }
+
+    getStats() {
+        return { ...this.stats, concurrency: this.concurrency, rangeSize: this.rangeSize };
+    }
+}
+
+module.exports = BackfillEngine;
@@ -0,0 +1,133 @@
+class BlockIndex {
+    constructor(connectionManager, provider, request) {
+        this.connectionManager = connectionManager;
+        this.provider = provider;
+        // Wraps every RPC call so the caller's retry/rate-limit policy applies
+        this.request = request || ((operation) => operation());
+        this.assumedBlockTime = parseFloat(process.env.BLOCK_INDEX_ASSUMED_BLOCK_TIME || '0.75');
+        this.stats = { lookups: 0, rangeCacheHits: 0, rpcCalls: 0 };
+    }
+
+    // persist: false resolves the range without writing epoch_block_range or block_anchor rows (dry runs)
+    async getEpochBlockRange(epoch, startTimestamp, endTimestamp, { persist = true } = {}) {
+        const cached = await this.connectionManager.executeQuery(
+            'SELECT from_block, to_block FROM epoch_block_range WHERE epoch = $1 AND start_timestamp = $2 AND end_timestamp = $3',
+            [epoch, startTimestamp, endTimestamp]
+        );
+        if (cached.rows.length > 0) {
+            this.stats.rangeCacheHits++;
+            return { fromBlock: Number(cached.rows[0].from_block), toBlock: Number(cached.rows[0].to_block) };
+        }
+
+        const fromBlock = await this.findBlockByTimestamp(startTimestamp, persist);
+        const toBlock = await this.findBlockByTimestamp(endTimestamp, persist);
+        if (fromBlock == null || toBlock == null) return null;
+        if (!persist) return { fromBlock, toBlock };
+
+        await this.connectionManager.executeQuery(
+            `INSERT INTO epoch_block_range (epoch, start_timestamp, end_timestamp, from_block, to_block) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (epoch) DO UPDATE SET start_timestamp = EXCLUDED.start_timestamp, end_timestamp = EXCLUDED.end_timestamp, from_block = EXCLUDED.from_block, to_block = EXCLUDED.to_block, created_ts = NOW()`,
+            [epoch, startTimestamp, endTimestamp, fromBlock, toBlock]
+        );
+        return { fromBlock, toBlock };
+    }
+
+    // Returns the first block whose timestamp is >= targetTimestamp, or null if the chain has not reached it yet
+    async findBlockByTimestamp(targetTimestamp, persist = true) {
+        this.stats.lookups++;
+        let { lower, upper } = await this.getNearestAnchors(targetTimestamp);
+
+        if (!upper) {
+            // A node behind the reported head may not return the head block yet
+            const head = await this.fetchHeadAnchor(persist);
+            if (!head || head.timestamp < targetTimestamp) return null;
+            upper = head;
+        }
+
+        // No known block before the target: step back from the upper anchor, doubling the distance each time
+        let step = Math.max(1, Math.ceil((upper.timestamp - targetTimestamp) / this.assumedBlockTime));
+        while (!lower) {
+            const candidate = Math.max(0, upper.number - step);
+            const anchor = await this.fetchAnchor(candidate, persist);
+            if (anchor && anchor.timestamp < targetTimestamp) {
+                lower = anchor;
+            } else if (candidate === 0) {
+                return 0;
+            } else if (anchor) {
+                upper = anchor;
+                step *= 2;
+            } else {
+                step *= 2;
+            }
+        }
+
+        // Interpolation search, falling back to bisection whenever a probe fails to halve the bracket
+        let useBisection = false;
+        while (upper.number - lower.number > 1) {
+            const span = upper.number - lower.number;
+            let probe;
+            if (useBisection || upper.timestamp === lower.timestamp) {
+                probe = lower.number + Math.floor(span / 2);
+            } else {
+                const ratio = (targetTimestamp - lower.timestamp) / (upper.timestamp - lower.timestamp);
+                probe = lower.number + Math.ceil(ratio * span);
+            }
+            probe = Math.min(upper.number - 1, Math.max(lower.number + 1, probe));
+
+            const anchor = await this.fetchAnchor(probe, persist);
+            if (!anchor || anchor.timestamp >= targetTimestamp) {
+                upper = anchor || { number: probe, timestamp: Infinity };
+            } else {
+                lower = anchor;
+            }
+            useBisection = (upper.number - lower.number) > span / 2;
+        }
+        return upper.number;
+    }
+
+    async getNearestAnchors(targetTimestamp) {
+        const result = await this.connectionManager.executeQuery(
+            `(SELECT block_number, block_timestamp, 'lower' AS side FROM block_anchor WHERE block_timestamp < $1 ORDER BY block_timestamp DESC, block_number DESC LIMIT 1)
+             UNION ALL
+             (SELECT block_number, block_timestamp, 'upper' AS side FROM block_anchor WHERE block_timestamp >= $1 ORDER BY block_timestamp ASC, block_number ASC LIMIT 1)`,
+            [targetTimestamp]
+        );
+        const anchors = { lower: null, upper: null };
+        for (const row of result.rows) {
+            anchors[row.side] = { number: Number(row.block_number), timestamp: Number(row.block_timestamp) };
+        }
+        return anchors;
+    }
+
+    async fetchHeadAnchor(persist = true) {
+        this.stats.rpcCalls++;
+        const headNumber = await this.request(() => this.provider.getBlockNumber(), 'getBlockNumber');
+        return this.fetchAnchor(headNumber, persist);
+    }
+
+    async fetchAnchor(blockNumber, persist = true) {
+        this.stats.rpcCalls++;
+        const block = await this.request(() => this.provider.getBlock(blockNumber), `getBlock ${blockNumber}`);
+        if (!block) return null;
+        const anchor = { number: Number(block.number), timestamp: Number(block.timestamp) };
+        if (persist) await this.saveAnchor(anchor);
+        return anchor;
+    }
+
+    async saveAnchor(anchor) {
+        try {
+            await this.connectionManager.executeQuery(
+                'INSERT INTO block_anchor (block_number, block_timestamp) VALUES ($1, $2) ON CONFLICT (block_number) DO NOTHING',
+                [anchor.number, anchor.timestamp]
+            );
+        } catch (error) {
+            console.error(`❌ [BlockIndex] Failed to save anchor for block ${anchor.number}:`, error.message);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = BlockIndex;
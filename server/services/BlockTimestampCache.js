@@ -0,0 +1,79 @@
+class BlockTimestampCache {
+    constructor(connectionManager, provider, request, options = {}) {
+        this.connectionManager = connectionManager;
+        this.provider = provider;
+        this.request = request || ((operation) => operation());
+        this.maxEntries = options.maxEntries || parseInt(process.env.BLOCK_CACHE_SIZE || '20000', 10);
+        this.batchSize = options.batchSize || parseInt(process.env.RPC_BATCH_MAX_COUNT || '50', 10);
+        this.timestamps = new Map();
+        this.inFlight = new Map();
+        this.stats = { hits: 0, misses: 0, anchorHits: 0, rpcBatches: 0 };
+    }
+
+    async get(blockNumber) {
+        const [timestamp] = await this.getMany([blockNumber]);
+        return timestamp;
+    }
+
+    // Resolves timestamps in input order; unknown blocks are fetched concurrently so the provider batches them
+    async getMany(blockNumbers) {
+        const missing = [];
+        const pending = [];
+        for (const blockNumber of new Set(blockNumbers.map(Number))) {
+            if (this.timestamps.has(blockNumber)) {
+                this.stats.hits++;
+            } else if (this.inFlight.has(blockNumber)) {
+                pending.push(this.inFlight.get(blockNumber));
+            } else {
+                missing.push(blockNumber);
+            }
+        }
+
+        if (missing.length > 0) {
+            const fetchPromise = this.fetchMissing(missing);
+            missing.forEach(blockNumber => this.inFlight.set(blockNumber, fetchPromise));
+            pending.push(fetchPromise.finally(() => missing.forEach(blockNumber => this.inFlight.delete(blockNumber))));
+        }
+        await Promise.all(pending);
+
+        return blockNumbers.map(blockNumber => this.timestamps.get(Number(blockNumber)));
+    }
+
+    async fetchMissing(blockNumbers) {
+        this.stats.misses += blockNumbers.length;
+
+        // Blocks already probed by the block index need no RPC call
+        const anchors = await this.connectionManager.executeQuery(
+            'SELECT block_number, block_timestamp FROM block_anchor WHERE block_number = ANY($1::bigint[])',
+            [blockNumbers]
+        );
+        for (const row of anchors.rows) {
+            this.remember(Number(row.block_number), Number(row.block_timestamp));
+            this.stats.anchorHits++;
+        }
+        const remaining = blockNumbers.filter(blockNumber => !this.timestamps.has(blockNumber));
+
+        for (let i = 0; i < remaining.length; i += this.batchSize) {
+            const chunk = remaining.slice(i, i + this.batchSize);
+            this.stats.rpcBatches++;
+            const blocks = await this.request(() => Promise.all(chunk.map(blockNumber => this.provider.getBlock(blockNumber))), `getBlocks ${chunk[0]}..${chunk[chunk.length - 1]}`);
+            blocks.forEach((block, index) => {
+                if (!block) throw new Error(`Block ${chunk[index]} not found`);
+                this.remember(chunk[index], Number(block.timestamp));
+            });
+        }
+    }
+
+    remember(blockNumber, timestamp) {
+        if (this.timestamps.size >= this.maxEntries) {
+            this.timestamps.delete(this.timestamps.keys().next().value);
+        }
+        this.timestamps.set(blockNumber, timestamp);
+    }
+
+    getStats() {
+        return { ...this.stats, size: this.timestamps.size };
+    }
+}
+
+module.exports = BlockTimestampCache;
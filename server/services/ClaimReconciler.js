@@ -0,0 +1,96 @@
+const { ethers } = require('ethers');
+
+const LINK_CLAIMS_SQL = `UPDATE hisbet h
+    SET claim_tx_hash = c.tx_hash,
+        claim_status = CASE WHEN h.result = 'REFUND' THEN 'REFUNDED' ELSE 'CLAIMED' END
+    FROM claim c
+    WHERE c.bet_epoch = h.epoch
+      AND c.wallet_address = h.wallet_address
+      AND h.result IN ('WIN', 'REFUND')
+      AND h.claim_tx_hash IS NULL`;
+
+const WEI_PER_UNIT = 10n ** 10n; // hisbet.amount, payout and pnl are NUMERIC(20,8): one unit is 1e-8 BNB
+
+class ClaimReconciler {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+        this.tolerance = process.env.CLAIM_RECONCILE_TOLERANCE || '0.00000001';
+    }
+
+    // Mirrors the contract: reward = amount * rewardAmount / rewardBaseCalAmount (integer division in wei). The payout is
+    // truncated to 8 decimals like enrichBets' TRUNC(..., 8), and refunds and PnL use the amount as its column rounds it,
+    // so both paths store the same values for a bet whose round amounts fit the 8-decimal columns.
+    static calculateBetPayout(amount, betResult, roundData) {
+        const amountWei = ethers.parseEther(amount);
+        const amountUnits = (amountWei + WEI_PER_UNIT / 2n) / WEI_PER_UNIT;
+        let payoutUnits = 0n;
+        if (betResult === 'WIN') {
+            const rewardBaseCalAmount = ethers.parseEther(roundData.reward_base_cal_amount);
+            if (rewardBaseCalAmount > 0n) {
+                payoutUnits = (amountWei * ethers.parseEther(roundData.reward_amount)) / rewardBaseCalAmount / WEI_PER_UNIT;
+            }
+        } else if (betResult === 'REFUND') {
+            payoutUnits = amountUnits;
+        }
+        return {
+            payout: ethers.formatUnits(payoutUnits, 8),
+            pnl: ethers.formatUnits(payoutUnits - amountUnits, 8),
+            claim_status: betResult === 'WIN' || betResult === 'REFUND' ? 'UNCLAIMED' : null
+        };
+    }
+
+    // Claims arrive in later epochs and backfill runs newest first, so link in both directions
+    static linkClaimsQuery(epoch) {
+        return { sql: `${LINK_CLAIMS_SQL} AND (c.epoch = $1 OR h.epoch = $1)`, params: [epoch] };
+    }
+
+    async enrichBets(fromEpoch, toEpoch) {
+        const result = await this.connectionManager.executeQuery(
+            `UPDATE hisbet h
+             SET payout = p.payout,
+                 pnl = p.payout - h.amount,
+                 claim_status = CASE WHEN h.result IN ('WIN', 'REFUND') THEN COALESCE(h.claim_status, 'UNCLAIMED') END
+             FROM round r,
+                  LATERAL (SELECT CASE
+                      WHEN h.result = 'WIN' AND r.reward_base_cal_amount > 0 THEN TRUNC(h.amount * r.reward_amount / r.reward_base_cal_amount, 8)
+                      WHEN h.result = 'REFUND' THEN h.amount
+                      ELSE 0 END AS payout) p
+             WHERE r.epoch = h.epoch
+               AND h.payout IS NULL
+               AND r.reward_amount IS NOT NULL
+               AND h.epoch BETWEEN $1 AND $2`,
+            [fromEpoch, toEpoch]
+        );
+        return result.rowCount;
+    }
+
+    async linkClaims(fromEpoch, toEpoch) {
+        const result = await this.connectionManager.executeQuery(`${LINK_CLAIMS_SQL} AND h.epoch BETWEEN $1 AND $2`, [fromEpoch, toEpoch]);
+        return result.rowCount;
+    }
+
+    async getReconciliationReport(fromEpoch, toEpoch, limit = 500) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT c.bet_epoch, c.epoch AS claim_epoch, c.wallet_address, c.tx_hash, c.claim_amount,
+                    h.result AS bet_result, h.amount AS bet_amount, h.payout AS expected_payout,
+                    c.claim_amount - COALESCE(h.payout, 0) AS difference,
+                    CASE
+                        WHEN h.tx_hash IS NULL THEN 'NO_MATCHING_BET'
+                        WHEN h.payout IS NULL THEN 'PAYOUT_NOT_COMPUTED'
+                        WHEN h.result = 'LOSS' THEN 'CLAIM_ON_LOSING_BET'
+                        ELSE 'AMOUNT_MISMATCH'
+                    END AS issue
+             FROM claim c
+             JOIN round r ON r.epoch = c.bet_epoch
+             LEFT JOIN hisbet h ON h.epoch = c.bet_epoch AND h.wallet_address = c.wallet_address
+             WHERE c.bet_epoch BETWEEN $1 AND $2
+               AND (h.tx_hash IS NULL OR h.payout IS NULL OR ABS(c.claim_amount - h.payout) > $3)
+             ORDER BY c.bet_epoch DESC, c.wallet_address
+             LIMIT $4`,
+            [fromEpoch, toEpoch, this.tolerance, limit]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = ClaimReconciler;
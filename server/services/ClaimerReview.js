@@ -0,0 +1,100 @@
+const STATUSES = ['detected', 'reviewed', 'resolved'];
+// A detection can be sent back a step when a review is reopened; a same-status review only adds a note
+const TRANSITIONS = {
+    detected: ['reviewed', 'resolved'],
+    reviewed: ['detected', 'resolved'],
+    resolved: ['reviewed']
+};
+
+const DETECTION_COLUMNS = `id, claim_epoch, wallet_address, rounds_claimed, bet_epochs, total_amount,
+    to_char(detected_ts, 'YYYY-MM-DD HH24:MI:SS') AS detected_ts, note, status, reviewer,
+    to_char(review_ts, 'YYYY-MM-DD HH24:MI:SS') AS review_ts, review_note`;
+
+// The status change and its audit row are written in one statement. The update only applies while the row still has
+// the status the caller saw, so concurrent reviews of one detection cannot both succeed.
+const REVIEW_SQL = `WITH updated AS (
+        UPDATE multi_round_claimer SET status = $3, reviewer = $4, review_ts = NOW(), review_note = $5,
+               note = COALESCE($6, note)
+        WHERE id = $1 AND status = $2
+        RETURNING id, claim_epoch, wallet_address
+    )
+    INSERT INTO multi_round_claimer_review (claimer_id, claim_epoch, wallet_address, from_status, to_status, reviewer, note)
+    SELECT id, claim_epoch, wallet_address, $2, $3, $4, $5 FROM updated
+    RETURNING id, from_status, to_status, reviewer, note, to_char(created_ts, 'YYYY-MM-DD HH24:MI:SS') AS created_ts`;
+
+// Review workflow for multi_round_claimer detections. Every change is appended to multi_round_claimer_review, which
+// is keyed by claim epoch and wallet as well as row id so the history outlives a re-crawl that re-creates the detection.
+class ClaimerReview {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+    }
+
+    // body: { status, reviewer, note?, detectionNote? }; reviewer and note fit the multi_round_claimer columns
+    static parseReview(body) {
+        const status = String(body.status || '').toLowerCase();
+        if (!STATUSES.includes(status)) throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+        const reviewer = typeof body.reviewer === 'string' ? body.reviewer.trim() : '';
+        if (!reviewer || reviewer.length > 50) throw new Error('reviewer must be a name of 1-50 characters');
+        if (body.note !== undefined && typeof body.note !== 'string') throw new Error('note must be a string');
+        if (body.detectionNote !== undefined && typeof body.detectionNote !== 'string') throw new Error('detectionNote must be a string');
+        return { status, reviewer, note: body.note || null, detectionNote: body.detectionNote || null };
+    }
+
+    async listDetections({ status = null, wallet = null, fromEpoch = null, toEpoch = null, limit = 100, offset = 0 } = {}) {
+        const filters = `WHERE ($1::text IS NULL OR status = $1)
+              AND ($2::text IS NULL OR wallet_address = $2)
+              AND ($3::bigint IS NULL OR claim_epoch >= $3)
+              AND ($4::bigint IS NULL OR claim_epoch <= $4)`;
+        const params = [status, wallet, fromEpoch, toEpoch];
+        const [rows, total] = await Promise.all([
+            this.connectionManager.executeQuery(
+                `SELECT ${DETECTION_COLUMNS} FROM multi_round_claimer ${filters} ORDER BY claim_epoch DESC, id DESC LIMIT $5 OFFSET $6`,
+                [...params, limit, offset]
+            ),
+            this.connectionManager.executeQuery(`SELECT COUNT(*)::int AS count FROM multi_round_claimer ${filters}`, params)
+        ]);
+        return { total: total.rows[0].count, detections: rows.rows };
+    }
+
+    // Claims of a live detection only appear once the crawler has stored the claim epoch
+    async getDetection(id) {
+        const detection = await this.connectionManager.executeQuery(`SELECT ${DETECTION_COLUMNS} FROM multi_round_claimer WHERE id = $1`, [id]);
+        if (detection.rows.length === 0) return null;
+        const { claim_epoch: claimEpoch, wallet_address: wallet } = detection.rows[0];
+        const [claims, history] = await Promise.all([
+            this.connectionManager.executeQuery(
+                `SELECT epoch, bet_epoch, claim_amount, to_char(claim_ts, 'YYYY-MM-DD HH24:MI:SS') AS claim_ts, tx_hash, block_number
+                 FROM claim WHERE epoch = $1 AND wallet_address = $2 ORDER BY bet_epoch`,
+                [claimEpoch, wallet]
+            ),
+            this.getHistory(claimEpoch, wallet)
+        ]);
+        return { ...detection.rows[0], claims: claims.rows, history };
+    }
+
+    async getHistory(claimEpoch, wallet) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT id, claimer_id, from_status, to_status, reviewer, note, to_char(created_ts, 'YYYY-MM-DD HH24:MI:SS') AS created_ts
+             FROM multi_round_claimer_review WHERE claim_epoch = $1 AND wallet_address = $2 ORDER BY id`,
+            [claimEpoch, wallet]
+        );
+        return result.rows;
+    }
+
+    // Returns { result: 'updated' | 'not_found' | 'invalid_transition' | 'conflict', ... }
+    async review(id, { status, reviewer, note, detectionNote }) {
+        const current = await this.connectionManager.executeQuery('SELECT status FROM multi_round_claimer WHERE id = $1', [id]);
+        if (current.rows.length === 0) return { result: 'not_found' };
+        const fromStatus = current.rows[0].status;
+        if (status === fromStatus ? !note : !TRANSITIONS[fromStatus].includes(status)) {
+            return { result: 'invalid_transition', from: fromStatus, allowed: TRANSITIONS[fromStatus] };
+        }
+
+        const audit = await this.connectionManager.executeQuery(REVIEW_SQL, [id, fromStatus, status, reviewer, note, detectionNote]);
+        if (audit.rows.length === 0) return { result: 'conflict', from: fromStatus };
+        console.log(`📝 [ClaimerReview] Detection ${id} ${fromStatus} -> ${status} by ${reviewer}.`);
+        return { result: 'updated', entry: audit.rows[0] };
+    }
+}
+
+module.exports = ClaimerReview;
@@ -0,0 +1,225 @@
+const { ethers } = require('ethers');
+const FailedEpochManager = require('./FailedEpochManager');
+
+// Stored amounts are NUMERIC(20,8), so everything is compared in integer units of 1e-8 BNB
+const UNIT_DECIMALS = 8;
+const WEI_PER_UNIT = 10n ** 10n;
+
+function chainUnits(wei) {
+    return (BigInt(wei) + WEI_PER_UNIT / 2n) / WEI_PER_UNIT; // Postgres rounds half up when casting to NUMERIC(20,8)
+}
+
+function storedUnits(value) {
+    return value === null || value === undefined ? 0n : ethers.parseUnits(String(value), UNIT_DECIMALS);
+}
+
+function unitsDiffer(a, b, tolerance = 0n) {
+    return (a > b ? a - b : b - a) > tolerance;
+}
+
+function formatUnits(units) {
+    return ethers.formatUnits(units, UNIT_DECIMALS);
+}
+
+class DataAuditor {
+    constructor(crawler) {
+        this.crawler = crawler;
+        this.connectionManager = crawler.connectionManager;
+        this.failedEpochManager = new FailedEpochManager(crawler);
+        this.window = parseInt(process.env.AUDIT_WINDOW_EPOCHS || '288', 10);
+        this.lag = parseInt(process.env.AUDIT_LAG_EPOCHS || '3', 10);
+        this.interval = parseInt(process.env.AUDIT_INTERVAL_MS || String(60 * 60 * 1000), 10);
+        this.autoRequeue = process.env.AUDIT_AUTO_REQUEUE === 'true';
+        this.chunkSize = 20;
+        this.timer = null;
+        this.isAuditing = false;
+        this.stats = { runs: 0, epochsAudited: 0, discrepanciesFound: 0, epochsRequeued: 0, lastRun: null };
+    }
+
+    start() {
+        console.log(`🔬 [DataAuditor] Auditing the last ${this.window} epochs every ${this.interval}ms (auto requeue: ${this.autoRequeue})`);
+        this.timer = setInterval(() => this.auditRecentEpochs(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async auditRecentEpochs() {
+        if (this.isAuditing) return;
+        this.isAuditing = true;
+        try {
+            // Epochs closer to the head may simply not have been crawled yet
+            const toEpoch = await this.crawler.getCurrentEpoch() - 2 - this.lag;
+            await this.auditRange(Math.max(1, toEpoch - this.window + 1), toEpoch, { requeue: this.autoRequeue });
+        } catch (error) {
+            console.error('❌ [DataAuditor] Audit failed:', error.message);
+        } finally {
+            this.isAuditing = false;
+        }
+    }
+
+    async auditRange(fromEpoch, toEpoch, { requeue = false } = {}) {
+        console.log(`🔬 [DataAuditor] Auditing epochs ${fromEpoch}-${toEpoch}...`);
+        const stored = await this.loadStoredAggregates(fromEpoch, toEpoch);
+        const discrepancies = [];
+
+        for (let i = 0; i < stored.length; i += this.chunkSize) {
+            const chunk = stored.slice(i, i + this.chunkSize);
+            const [rounds, claimCounts] = await Promise.all([
+                Promise.all(chunk.map(row => this.crawler.retryRequest(() => this.crawler.chainSource.getRound(row.epoch), `audit rounds(${row.epoch})`))),
+                this.countClaimLogs(chunk)
+            ]);
+            for (let j = 0; j < chunk.length; j++) {
+                const found = this.compareEpoch(chunk[j], rounds[j], claimCounts.get(chunk[j].epoch));
+                await this.recordResults(chunk[j].epoch, found);
+                discrepancies.push(...found);
+            }
+        }
+
+        this.stats.runs++;
+        this.stats.epochsAudited += stored.length;
+        this.stats.discrepanciesFound += discrepancies.length;
+        this.stats.lastRun = new Date().toISOString();
+
+        const epochs = [...new Set(discrepancies.map(discrepancy => discrepancy.epoch))].sort((a, b) => b - a);
+        console.log(`${epochs.length === 0 ? '✅' : '⚠️'} [DataAuditor] Epochs ${fromEpoch}-${toEpoch}: ${discrepancies.length} discrepancies in ${epochs.length} epochs.`);
+        const requeued = requeue ? await this.requeueEpochs(epochs) : [];
+        return { fromEpoch, toEpoch, audited: stored.length, discrepancies, requeued };
+    }
+
+    async loadStoredAggregates(fromEpoch, toEpoch) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT s.epoch, r.epoch IS NOT NULL AS has_round,
+                    r.total_amount, r.up_amount, r.down_amount,
+                    COALESCE(b.up_sum, 0) AS up_sum, COALESCE(b.down_sum, 0) AS down_sum,
+                    COALESCE(b.up_count, 0) AS up_count, COALESCE(b.down_count, 0) AS down_count,
+                    COALESCE(c.claim_count, 0) AS claim_count,
+                    e.from_block, e.to_block
+             FROM generate_series($1::bigint, $2::bigint) AS s(epoch)
+             LEFT JOIN round r ON r.epoch = s.epoch
+             LEFT JOIN (
+                 SELECT epoch,
+                        SUM(amount) FILTER (WHERE bet_direction = 'UP') AS up_sum,
+                        SUM(amount) FILTER (WHERE bet_direction = 'DOWN') AS down_sum,
+                        COUNT(*) FILTER (WHERE bet_direction = 'UP') AS up_count,
+                        COUNT(*) FILTER (WHERE bet_direction = 'DOWN') AS down_count
+                 FROM hisbet WHERE epoch BETWEEN $1 AND $2 GROUP BY epoch
+             ) b ON b.epoch = s.epoch
+             LEFT JOIN (SELECT epoch, COUNT(*) AS claim_count FROM claim WHERE epoch BETWEEN $1 AND $2 GROUP BY epoch) c ON c.epoch = s.epoch
+             LEFT JOIN epoch_block_range e ON e.epoch = s.epoch
+             ORDER BY s.epoch DESC`,
+            [fromEpoch, toEpoch]
+        );
+        return result.rows.map(row => ({
+            ...row,
+            epoch: Number(row.epoch),
+            from_block: row.from_block === null ? null : Number(row.from_block),
+            to_block: row.to_block === null ? null : Number(row.to_block)
+        }));
+    }
+
+    // Half-open [from_block, to_block) like the crawler: the last block is shared with the next epoch, which owns its claims
+    static countClaimsByEpoch(rows, logs) {
+        const counts = new Map();
+        for (const row of rows) {
+            counts.set(row.epoch, logs.filter(log => log.blockNumber >= row.from_block && log.blockNumber < row.to_block).length);
+        }
+        return counts;
+    }
+
+    // One getLogs call per chunk, bucketed back into each epoch's block range the same way the crawler stores claims
+    async countClaimLogs(chunk) {
+        const counts = new Map();
+        const ranged = chunk.filter(row => row.has_round && row.from_block !== null);
+        if (ranged.length === 0) return counts;
+
+        const fromBlock = Math.min(...ranged.map(row => row.from_block));
+        const toBlock = Math.max(...ranged.map(row => row.to_block));
+        const logs = await this.crawler.retryRequest(() => this.crawler.chainSource.getLogs(fromBlock, toBlock, 'Claim'), `audit Claim logs ${fromBlock}-${toBlock}`);
+        return DataAuditor.countClaimsByEpoch(ranged, logs);
+    }
+
+    compareEpoch(row, round, claimLogCount) {
+        const discrepancies = [];
+        const add = (checkType, expected, actual, details) => discrepancies.push({ epoch: row.epoch, checkType, expected, actual, details });
+        const chain = { total: chainUnits(round.totalAmount), up: chainUnits(round.bullAmount), down: chainUnits(round.bearAmount) };
+
+        if (!row.has_round) {
+            if (Number(round.closeTimestamp) > 0) add('MISSING_ROUND', formatUnits(chain.total), null, {});
+            return discrepancies;
+        }
+
+        const storedTotals = { total: storedUnits(row.total_amount), up: storedUnits(row.up_amount), down: storedUnits(row.down_amount) };
+        // Round amounts pass through parseFloat before they are stored, which can move the last decimal
+        if (['total', 'up', 'down'].some(key => unitsDiffer(storedTotals[key], chain[key], 1n))) {
+            add('ROUND_TOTALS', formatUnits(chain.total), formatUnits(storedTotals.total), {
+                chain: { up: formatUnits(chain.up), down: formatUnits(chain.down) },
+                stored: { up: formatUnits(storedTotals.up), down: formatUnits(storedTotals.down) }
+            });
+        }
+
+        // Each stored bet was rounded to 8 decimals on its own, so allow one unit of drift per bet
+        for (const direction of ['up', 'down']) {
+            const betSum = storedUnits(row[`${direction}_sum`]);
+            const betCount = BigInt(row[`${direction}_count`]);
+            if (unitsDiffer(betSum, chain[direction], betCount)) {
+                add(`BET_SUM_${direction.toUpperCase()}`, formatUnits(chain[direction]), formatUnits(betSum), { bets: Number(betCount) });
+            }
+        }
+
+        if (claimLogCount !== undefined && claimLogCount !== Number(row.claim_count)) {
+            add('CLAIM_COUNT', String(claimLogCount), String(row.claim_count), { fromBlock: row.from_block, toBlock: row.to_block });
+        }
+        return discrepancies;
+    }
+
+    // Upserts open discrepancies and resolves earlier ones for checks that now pass
+    async recordResults(epoch, discrepancies) {
+        const queries = discrepancies.map(discrepancy => ({
+            sql: `INSERT INTO audit_discrepancy (epoch, check_type, expected_value, actual_value, details, status, audit_ts)
+                  VALUES ($1, $2, $3, $4, $5, 'OPEN', NOW())
+                  ON CONFLICT (epoch, check_type) DO UPDATE SET
+                      expected_value = EXCLUDED.expected_value, actual_value = EXCLUDED.actual_value, details = EXCLUDED.details,
+                      status = CASE WHEN audit_discrepancy.status = 'RESOLVED' THEN 'OPEN' ELSE audit_discrepancy.status END,
+                      resolved_ts = NULL, audit_ts = NOW()`,
+            params: [epoch, discrepancy.checkType, discrepancy.expected, discrepancy.actual, JSON.stringify(discrepancy.details)]
+        }));
+        queries.push({
+            sql: "UPDATE audit_discrepancy SET status = 'RESOLVED', resolved_ts = NOW(), audit_ts = NOW() WHERE epoch = $1 AND status <> 'RESOLVED' AND check_type <> ALL($2::text[])",
+            params: [epoch, discrepancies.map(discrepancy => discrepancy.checkType)]
+        });
+        await this.connectionManager.executeTransaction(queries);
+    }
+
+    async requeueEpochs(epochs) {
+        const requeued = [];
+        for (const epoch of epochs) {
+            const { results } = await this.failedEpochManager.recrawl(epoch, epoch);
+            if (results[0].status === 'recrawled') {
+                await this.connectionManager.executeQuery("UPDATE audit_discrepancy SET status = 'REQUEUED' WHERE epoch = $1 AND status = 'OPEN'", [epoch]);
+                this.stats.epochsRequeued++;
+            }
+            requeued.push(results[0]);
+        }
+        return requeued;
+    }
+
+    async listDiscrepancies(status = 'OPEN', limit = 100) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT epoch, check_type, expected_value, actual_value, details, status, audit_ts, resolved_ts
+             FROM audit_discrepancy WHERE status = $1 ORDER BY epoch DESC, check_type LIMIT $2`,
+            [status, limit]
+        );
+        return result.rows;
+    }
+
+    getStats() {
+        return { ...this.stats, window: this.window, autoRequeue: this.autoRequeue };
+    }
+}
+
+module.exports = DataAuditor;
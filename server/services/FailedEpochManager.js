@@ -0,0 +1,96 @@
+const MAX_RECRAWL_JOBS = 50; // Finished jobs kept for polling
+
+class FailedEpochManager {
+    constructor(crawler) {
+        this.crawler = crawler;
+        this.connectionManager = crawler.connectionManager;
+        this.jobs = new Map(); // id -> job, in creation order
+        this.nextJobId = 1;
+        this.jobQueue = Promise.resolve();
+    }
+
+    static parseEpochRange(fromEpoch, toEpoch) {
+        const from = parseInt(fromEpoch, 10);
+        const to = toEpoch === undefined || toEpoch === null || toEpoch === '' ? from : parseInt(toEpoch, 10);
+        if (Number.isNaN(from) || Number.isNaN(to) || from <= 0 || to < from) {
+            throw new Error(`Invalid epoch range: ${fromEpoch}-${toEpoch}`);
+        }
+        return { fromEpoch: from, toEpoch: to };
+    }
+
+    async listFailures(limit = 100, offset = 0) {
+        const [rows, total] = await Promise.all([
+            this.connectionManager.executeQuery(
+                'SELECT epoch, failure_count, error_message, last_attempt_ts, created_ts FROM failed_epoch ORDER BY epoch DESC LIMIT $1 OFFSET $2',
+                [limit, offset]
+            ),
+            this.connectionManager.executeQuery('SELECT COUNT(*)::int AS count FROM failed_epoch')
+        ]);
+        return { total: total.rows[0].count, failures: rows.rows };
+    }
+
+    async clearFailures(fromEpoch, toEpoch, dryRun = false) {
+        const sql = dryRun
+            ? 'SELECT epoch, failure_count, error_message FROM failed_epoch WHERE epoch BETWEEN $1 AND $2 ORDER BY epoch DESC'
+            : 'DELETE FROM failed_epoch WHERE epoch BETWEEN $1 AND $2 RETURNING epoch, failure_count, error_message';
+        const result = await this.connectionManager.executeQuery(sql, [fromEpoch, toEpoch]);
+        console.log(`🧹 [FailedEpochManager] ${dryRun ? 'Would clear' : 'Cleared'} ${result.rowCount} failed epochs in ${fromEpoch}-${toEpoch}.`);
+        return { dryRun, cleared: result.rows };
+    }
+
+    // Stored data is only replaced when the epoch is saved again: the reset runs in the crawler's save transaction,
+    // so epochs that are in flight, unconfirmed or failing keep what they had
+    async recrawl(fromEpoch, toEpoch, dryRun = false) {
+        const results = [];
+        for (let epoch = toEpoch; epoch >= fromEpoch; epoch--) {
+            if (dryRun) {
+                try {
+                    const preview = await this.crawler.processEpochData(epoch, { force: true, dryRun: true });
+                    results.push(preview ? { epoch, status: 'preview', wouldWrite: preview } : { epoch, status: 'not_ready' });
+                } catch (error) {
+                    results.push({ epoch, status: 'error', error: error.message });
+                }
+                continue;
+            }
+
+            if (this.crawler.epochsInFlight.has(epoch)) {
+                results.push({ epoch, status: 'in_flight' });
+                continue;
+            }
+            const success = await this.crawler.processEpochData(epoch, { force: true, reset: true });
+            if (success) await this.connectionManager.executeQuery('DELETE FROM failed_epoch WHERE epoch = $1', [epoch]);
+            results.push({ epoch, status: success ? 'recrawled' : 'failed' });
+        }
+        console.log(`🔁 [FailedEpochManager] ${dryRun ? 'Previewed' : 'Re-crawled'} epochs ${fromEpoch}-${toEpoch}.`);
+        return { dryRun, results };
+    }
+
+    // Admin requests queue their re-crawl and poll getJob; jobs run one at a time in request order
+    enqueueRecrawl(fromEpoch, toEpoch, dryRun = false) {
+        const job = { id: this.nextJobId++, fromEpoch, toEpoch, dryRun, status: 'queued', results: null, error: null, createdAt: new Date().toISOString(), finishedAt: null };
+        this.jobs.set(job.id, job);
+        for (const id of this.jobs.keys()) {
+            if (this.jobs.size <= MAX_RECRAWL_JOBS) break;
+            if (['done', 'error'].includes(this.jobs.get(id).status)) this.jobs.delete(id);
+        }
+        this.jobQueue = this.jobQueue.then(async () => {
+            job.status = 'running';
+            try {
+                job.results = (await this.recrawl(fromEpoch, toEpoch, dryRun)).results;
+                job.status = 'done';
+            } catch (error) {
+                console.error(`❌ [FailedEpochManager] Re-crawl job ${job.id} failed:`, error.message);
+                job.error = error.message;
+                job.status = 'error';
+            }
+            job.finishedAt = new Date().toISOString();
+        });
+        return job;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+}
+
+module.exports = FailedEpochManager;
@@ -0,0 +1,54 @@
+// Receive latency is realbet.received_ms (the listener's clock, in ms) minus the block time in hisbet.bet_ts (Taipei time,
+// UTC+8). Block timestamps only have whole seconds, so each latency also counts the up to one second between the
+// block's timestamp and when it was actually produced.
+const RECORD_COVERAGE_SQL = `INSERT INTO listener_coverage (epoch, final_bets, realtime_bets, matched, missed, extra, avg_latency_ms, p95_latency_ms, max_latency_ms)
+    SELECT $1::bigint, f.final_bets, r.realtime_bets, m.matched, f.final_bets - m.matched, r.realtime_bets - m.matched, m.avg_latency_ms, m.p95_latency_ms, m.max_latency_ms
+    FROM (SELECT COUNT(*) AS final_bets FROM hisbet WHERE epoch = $1) f,
+         (SELECT COUNT(*) AS realtime_bets FROM realbet WHERE epoch = $1) r,
+         (SELECT COUNT(*) AS matched,
+                 ROUND(AVG(latency_ms)) AS avg_latency_ms,
+                 ROUND(percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms)) AS p95_latency_ms,
+                 ROUND(MAX(latency_ms)) AS max_latency_ms
+          FROM (SELECT rb.received_ms - EXTRACT(EPOCH FROM hb.bet_ts - INTERVAL '8 hours') * 1000 AS latency_ms
+                FROM realbet rb JOIN hisbet hb ON hb.tx_hash = rb.tx_hash
+                WHERE rb.epoch = $1 AND hb.epoch = $1) latencies) m
+    WHERE r.realtime_bets > 0 OR $2::boolean
+    ON CONFLICT (epoch) DO NOTHING`;
+
+class ListenerCoverage {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+    }
+
+    // Must run before the epoch's realbet rows are deleted. Epochs without any realtime rows are only recorded when
+    // the listener should have seen them (recent epochs); old epochs reached by backfill predate the listener.
+    // The first result for an epoch is kept: after a re-crawl the realbet rows are already gone.
+    static recordCoverageQuery(epoch, recordIfEmpty) {
+        return { sql: RECORD_COVERAGE_SQL, params: [epoch, recordIfEmpty] };
+    }
+
+    async getCoverage(limit = 100) {
+        const [epochs, summary] = await Promise.all([
+            this.connectionManager.executeQuery(
+                `SELECT epoch, final_bets, realtime_bets, matched, missed, extra, avg_latency_ms, p95_latency_ms, max_latency_ms, computed_ts
+                 FROM listener_coverage ORDER BY epoch DESC LIMIT $1`,
+                [limit]
+            ),
+            this.connectionManager.executeQuery(
+                `SELECT COUNT(*)::int AS epochs,
+                        COALESCE(SUM(final_bets), 0)::int AS final_bets,
+                        COALESCE(SUM(matched), 0)::int AS matched,
+                        COALESCE(SUM(missed), 0)::int AS missed,
+                        COALESCE(SUM(extra), 0)::int AS extra,
+                        ROUND(SUM(matched)::numeric / NULLIF(SUM(final_bets), 0), 4) AS coverage_ratio,
+                        ROUND(SUM(avg_latency_ms * matched) / NULLIF(SUM(matched), 0)) AS avg_latency_ms,
+                        MAX(p95_latency_ms) AS worst_p95_latency_ms
+                 FROM (SELECT * FROM listener_coverage ORDER BY epoch DESC LIMIT $1) recent`,
+                [limit]
+            )
+        ]);
+        return { summary: summary.rows[0], epochs: epochs.rows };
+    }
+}
+
+module.exports = ListenerCoverage;
@@ -0,0 +1,96 @@
+const TimeService = require('./TimeService');
+
+// Rebuilds the pool at every offset from the final bets: a bet counts once its block time is at or before lock + offset.
+// Offsets before the round started are dropped, and payouts use the round's own treasury fee.
+const REBUILD_SQL = `INSERT INTO pool_snapshot (epoch, offset_seconds, source, snapshot_ts, up_amount, down_amount, total_amount, up_count, down_count, up_payout, down_payout)
+    SELECT r.epoch, o.offset_seconds, 'HISBET', r.lock_ts + o.offset_seconds * INTERVAL '1 second',
+           s.up_amount, s.down_amount, s.up_amount + s.down_amount, s.up_count, s.down_count,
+           CASE WHEN s.up_amount > 0 THEN ROUND((s.up_amount + s.down_amount) * (10000 - r.treasury_fee) / 10000 / s.up_amount, 4) END,
+           CASE WHEN s.down_amount > 0 THEN ROUND((s.up_amount + s.down_amount) * (10000 - r.treasury_fee) / 10000 / s.down_amount, 4) END
+    FROM round r
+    CROSS JOIN LATERAL (SELECT DISTINCT offset_seconds FROM unnest($2::int[]) AS offset_seconds
+                        WHERE offset_seconds >= -EXTRACT(EPOCH FROM r.lock_ts - r.start_ts)) o
+    CROSS JOIN LATERAL (SELECT COALESCE(SUM(amount) FILTER (WHERE bet_direction = 'UP'), 0) AS up_amount,
+                               COALESCE(SUM(amount) FILTER (WHERE bet_direction = 'DOWN'), 0) AS down_amount,
+                               COUNT(*) FILTER (WHERE bet_direction = 'UP')::int AS up_count,
+                               COUNT(*) FILTER (WHERE bet_direction = 'DOWN')::int AS down_count
+                        FROM hisbet h
+                        WHERE h.epoch = r.epoch AND h.bet_ts <= r.lock_ts + o.offset_seconds * INTERVAL '1 second') s
+    WHERE r.epoch = $1::bigint
+    ON CONFLICT (epoch, offset_seconds, source) DO UPDATE SET
+        snapshot_ts = EXCLUDED.snapshot_ts, up_amount = EXCLUDED.up_amount, down_amount = EXCLUDED.down_amount,
+        total_amount = EXCLUDED.total_amount, up_count = EXCLUDED.up_count, down_count = EXCLUDED.down_count,
+        up_payout = EXCLUDED.up_payout, down_payout = EXCLUDED.down_payout, created_ts = NOW()`;
+
+// Pool totals at fixed offsets (seconds, <= 0) before lockTimestamp. REALTIME rows are what the listener knew at that
+// moment; HISBET rows are rebuilt from the final bets once the epoch is crawled.
+class PoolTimeline {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+        this.offsets = PoolTimeline.buildOffsets(
+            parseInt(process.env.POOL_SNAPSHOT_WINDOW_SECONDS || '300', 10),
+            parseInt(process.env.POOL_SNAPSHOT_STEP_SECONDS || '5', 10),
+            (process.env.POOL_SNAPSHOT_EXTRA_OFFSETS || '-30,-10,-3').split(',')
+        );
+    }
+
+    static buildOffsets(windowSeconds, stepSeconds, extraOffsets = []) {
+        const offsets = new Set();
+        for (let offset = 0; offset >= -windowSeconds; offset -= stepSeconds) offsets.add(offset);
+        for (const extra of extraOffsets) {
+            const offset = -Math.abs(parseInt(extra, 10));
+            if (!Number.isNaN(offset) && offset >= -windowSeconds) offsets.add(offset);
+        }
+        return Array.from(offsets).sort((a, b) => a - b);
+    }
+
+    // Runs in the crawler's epoch transaction, after the hisbet rows are inserted
+    rebuildQuery(epoch) {
+        return { sql: REBUILD_SQL, params: [epoch, this.offsets] };
+    }
+
+    // Crawled epochs below beforeEpoch (null for all) that have no HISBET timeline yet, newest first
+    async listMissingEpochs(beforeEpoch, limit) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT epoch FROM round r
+             WHERE ($1::bigint IS NULL OR r.epoch < $1)
+               AND NOT EXISTS (SELECT 1 FROM pool_snapshot p WHERE p.epoch = r.epoch AND p.source = 'HISBET')
+             ORDER BY epoch DESC LIMIT $2`,
+            [beforeEpoch, limit]
+        );
+        return result.rows.map(row => Number(row.epoch));
+    }
+
+    async rebuild(epoch) {
+        const { sql, params } = this.rebuildQuery(epoch);
+        const result = await this.connectionManager.executeQuery(sql, params);
+        return result.rowCount;
+    }
+
+    // pool is RoundPoolTracker.getState(); the first snapshot taken at an offset is kept
+    async recordLiveSnapshot(pool, offset) {
+        await this.connectionManager.executeQuery(
+            `INSERT INTO pool_snapshot (epoch, offset_seconds, source, snapshot_ts, up_amount, down_amount, total_amount, up_count, down_count, up_payout, down_payout)
+             VALUES ($1, $2, 'REALTIME', $3, $4, $5, $6, $7, $8, $9, $10)
+             ON CONFLICT (epoch, offset_seconds, source) DO NOTHING`,
+            [pool.epoch, offset, TimeService.formatUnixTimestamp(pool.lockTimestamp + offset), pool.upAmount, pool.downAmount, pool.totalAmount, pool.upCount, pool.downCount, pool.upPayout, pool.downPayout]
+        );
+    }
+
+    // Read-only: HISBET rows come from the crawler's save transaction, or from the migration for epochs crawled earlier
+    async getTimeline(epoch, source = null) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT offset_seconds, source, to_char(snapshot_ts, 'YYYY-MM-DD HH24:MI:SS') AS snapshot_ts, up_amount, down_amount, total_amount,
+                    up_count, down_count, up_payout, down_payout
+             FROM pool_snapshot WHERE epoch = $1 AND ($2::text IS NULL OR source = $2) ORDER BY source, offset_seconds`,
+            [epoch, source]
+        );
+        return {
+            epoch: String(epoch),
+            realtime: result.rows.filter(row => row.source === 'REALTIME'),
+            hisbet: result.rows.filter(row => row.source === 'HISBET')
+        };
+    }
+}
+
+module.exports = PoolTimeline;
@@ -0,0 +1,149 @@
+// Relative cost of each JSON-RPC method in tokens; log scans are far heavier for providers than point reads
+const METHOD_COSTS = {
+    eth_getLogs: 10,
+    eth_getBlockByNumber: 2,
+    eth_getBlockByHash: 2,
+    eth_getTransactionReceipt: 2,
+    eth_call: 1,
+    eth_blockNumber: 1,
+    eth_chainId: 1
+};
+
+const RATE_LIMIT_CODES = new Set([429, -32005]);
+const RATE_LIMIT_PATTERN = /\b429\b|rate limit|too many requests|limit exceeded|request limit|capacity exceeded/i;
+const RETRYABLE_RPC_CODES = new Set([-32603, -32000, -32002, -32098]);
+const RETRYABLE_PATTERN = /timeout|timed out|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|header not found|busy|unavailable|missing response/i;
+const PERMANENT_ETHERS_CODES = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'BAD_DATA', 'NOT_IMPLEMENTED', 'UNSUPPORTED_OPERATION', 'NUMERIC_FAULT']);
+
+class RateLimiter {
+    constructor() {
+        this.maxRate = parseInt(process.env.RPC_RATE_LIMIT || '100', 10); // tokens per second
+        this.minRate = Math.max(1, Math.floor(this.maxRate / 20));
+        this.burst = parseInt(process.env.RPC_RATE_BURST || String(this.maxRate), 10);
+        this.baseBackoff = parseInt(process.env.RPC_BACKOFF_BASE_MS || '500', 10);
+        this.maxBackoff = parseInt(process.env.RPC_BACKOFF_MAX_MS || '30000', 10);
+        this.rate = this.maxRate;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.consecutiveThrottles = 0;
+        this.queue = [];
+        this.timer = null;
+        this.stats = { requests: 0, tokensSpent: 0, throttled: 0, retries: 0, permanentFailures: 0, waitedMs: 0 };
+    }
+
+    methodCost(method) {
+        return METHOD_COSTS[method] || 1;
+    }
+
+    payloadCost(payload) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        return requests.reduce((sum, request) => sum + this.methodCost(request.method), 0);
+    }
+
+    // Returns 'rate_limited', 'retryable' or 'permanent'
+    classifyError(error) {
+        const rpcError = (error.info && error.info.error) || error.error || {};
+        const message = `${error.message || ''} ${rpcError.message || ''} ${(error.info && error.info.responseStatus) || ''}`;
+        if (RATE_LIMIT_CODES.has(rpcError.code) || RATE_LIMIT_PATTERN.test(message)) return 'rate_limited';
+        if (PERMANENT_ETHERS_CODES.has(error.code)) return 'permanent';
+        if (RETRYABLE_RPC_CODES.has(rpcError.code) || RETRYABLE_PATTERN.test(message)) return 'retryable';
+        // The node understood and rejected the request; ethers wraps such errors as UNKNOWN_ERROR, so this check comes first
+        if (typeof rpcError.code === 'number') return 'permanent';
+        return 'retryable'; // TIMEOUT, NETWORK_ERROR, SERVER_ERROR and anything unrecognised
+    }
+
+    // Exponential backoff with jitter so concurrent callers do not retry in lockstep
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.maxBackoff, this.baseBackoff * 2 ** (attempt - 1));
+        return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    acquire(cost = 1) {
+        return new Promise(resolve => {
+            this.queue.push({ cost: Math.min(cost, this.burst), resolve, queuedAt: Date.now() });
+            this.drain();
+        });
+    }
+
+    drain() {
+        if (this.timer) return;
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.rate / 1000);
+        this.lastRefill = now;
+
+        while (this.queue.length > 0 && now >= this.pausedUntil && this.tokens >= this.queue[0].cost) {
+            const next = this.queue.shift();
+            this.tokens -= next.cost;
+            this.stats.requests++;
+            this.stats.tokensSpent += next.cost;
+            this.stats.waitedMs += now - next.queuedAt;
+            next.resolve();
+        }
+        if (this.queue.length === 0) return;
+
+        const wait = now < this.pausedUntil
+            ? this.pausedUntil - now
+            : Math.ceil((this.queue[0].cost - this.tokens) * 1000 / this.rate);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, Math.max(1, wait));
+    }
+
+    // Halves the refill rate and pauses every caller until the backoff expires
+    recordThrottle() {
+        this.stats.throttled++;
+        this.consecutiveThrottles++;
+        this.rate = Math.max(this.minRate, this.rate / 2);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + this.backoffDelay(this.consecutiveThrottles));
+        console.warn(`🐢 [RateLimiter] Provider throttled, slowing to ${this.rate.toFixed(1)} tokens/s`);
+    }
+
+    // Additive recovery towards the configured rate
+    recordSuccess() {
+        this.consecutiveThrottles = 0;
+        if (this.rate < this.maxRate) {
+            this.rate = Math.min(this.maxRate, this.rate + this.maxRate / 20);
+        }
+    }
+
+    // Runs an RPC operation, retrying rate-limited and transient failures. Pass `method` to charge tokens
+    // for calls that do not go through the pooled HTTP provider (which charges per request itself).
+    async execute(operation, { name = 'rpc request', retries = 3, method = null } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                if (method) await this.acquire(this.methodCost(method));
+                const result = await operation();
+                if (method) this.recordSuccess();
+                return result;
+            } catch (error) {
+                const kind = this.classifyError(error);
+                if (kind === 'rate_limited' && method) this.recordThrottle();
+                if (kind === 'permanent') this.stats.permanentFailures++;
+                if (kind === 'permanent' || attempt >= retries) {
+                    console.error(`❌ ${name} failed after ${attempt} attempts (${kind}):`, error.message);
+                    throw error;
+                }
+                const delay = this.backoffDelay(attempt);
+                this.stats.retries++;
+                console.log(`⚠️ Retrying ${name} (attempt ${attempt}/${retries}, ${kind}) after ${delay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            rate: Number(this.rate.toFixed(2)),
+            maxRate: this.maxRate,
+            tokens: Math.floor(this.tokens),
+            queued: this.queue.length,
+            pausedForMs: Math.max(0, this.pausedUntil - Date.now())
+        };
+    }
+}
+
+// One limiter per process so every RPC caller shares the same budget
+module.exports = new RateLimiter();
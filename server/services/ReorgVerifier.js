@@ -0,0 +1,84 @@
+class ReorgVerifier {
+    constructor(crawler) {
+        this.crawler = crawler;
+        this.connectionManager = crawler.connectionManager;
+        this.window = parseInt(process.env.REORG_VERIFY_WINDOW || '200', 10);
+        this.interval = parseInt(process.env.REORG_CHECK_INTERVAL_MS || '60000', 10);
+        this.timer = null;
+        this.isVerifying = false;
+        this.pendingEpochs = new Set();
+        this.stats = { runs: 0, blocksChecked: 0, orphanedBlocks: 0, epochsReingested: 0, lastRun: null };
+    }
+
+    start() {
+        console.log(`🛡️ [ReorgVerifier] Checking the last ${this.window} blocks every ${this.interval}ms`);
+        this.timer = setInterval(() => this.verifyRecentBlocks(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async verifyRecentBlocks() {
+        if (this.isVerifying) return;
+        this.isVerifying = true;
+        try {
+            const headBlock = await this.crawler.retryRequest(() => this.crawler.chainSource.getBlockNumber(), 'getBlockNumber');
+            const result = await this.connectionManager.executeQuery(
+                `SELECT block_number, block_hash, array_agg(DISTINCT epoch) AS epochs
+                 FROM (
+                     SELECT block_number, block_hash, epoch FROM hisbet WHERE block_number >= $1
+                     UNION ALL
+                     SELECT block_number, block_hash, epoch FROM claim WHERE block_number >= $1
+                 ) stored
+                 WHERE block_hash IS NOT NULL
+                 GROUP BY block_number, block_hash`,
+                [headBlock - this.window]
+            );
+
+            // Epochs whose re-ingest failed on an earlier run
+            const orphanedEpochs = new Set(this.pendingEpochs);
+            for (const row of result.rows) {
+                const blockNumber = Number(row.block_number);
+                const block = await this.crawler.retryRequest(() => this.crawler.chainSource.getBlock(blockNumber), `getBlock ${blockNumber}`);
+                this.stats.blocksChecked++;
+                if (block && block.hash === row.block_hash) continue;
+
+                console.warn(`⚠️ [ReorgVerifier] Block ${blockNumber} ${row.block_hash} is no longer canonical (now ${block ? block.hash : 'missing'}).`);
+                this.stats.orphanedBlocks++;
+                row.epochs.forEach(epoch => orphanedEpochs.add(Number(epoch)));
+            }
+
+            for (const epoch of orphanedEpochs) {
+                await this.reingestEpoch(epoch);
+            }
+            this.stats.runs++;
+            this.stats.lastRun = new Date().toISOString();
+        } catch (error) {
+            console.error('❌ [ReorgVerifier] Verification failed:', error.message);
+        } finally {
+            this.isVerifying = false;
+        }
+    }
+
+    async reingestEpoch(epoch) {
+        console.log(`♻️ [ReorgVerifier] Re-ingesting epoch ${epoch}...`);
+        // The stored rows are replaced in the same transaction, so a failed re-crawl leaves them in place to retry next run
+        const success = await this.crawler.processEpochData(epoch, { force: true, reset: true });
+        if (success) {
+            this.pendingEpochs.delete(epoch);
+            this.stats.epochsReingested++;
+        } else {
+            this.pendingEpochs.add(epoch);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, window: this.window, pendingEpochs: Array.from(this.pendingEpochs) };
+    }
+}
+
+module.exports = ReorgVerifier;
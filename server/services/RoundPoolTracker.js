@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const RateLimiter = require('./RateLimiter');
+
+// In-memory pool state of the open (betting) round, built from BetBull/BetBear and reconciled against rounds(epoch)
+class RoundPoolTracker {
+    constructor(chainSource) {
+        this.chainSource = chainSource;
+        this.epoch = null;
+        this.startTimestamp = null;
+        this.lockTimestamp = null;
+        this.intervalSeconds = null;
+        this.bufferSeconds = null;
+        this.treasuryFee = null;
+        this.bets = new Map(); // betKey -> { direction, amountWei, data }
+        this.chainTotals = { up: 0n, down: 0n };
+        this.reconciledAt = null;
+        this.stats = { roundsTracked: 0, reconciliations: 0, reconcileAdjustments: 0 };
+    }
+
+    // WebSocket calls bypass the pooled HTTP provider, so charge the shared limiter here
+    call(operation, name) {
+        return RateLimiter.execute(operation, { name, method: 'eth_call' });
+    }
+
+    async startRound(epoch) {
+        const [round, treasuryFee, intervalSeconds, bufferSeconds] = await Promise.all([
+            this.call(() => this.chainSource.getRound(epoch), `rounds(${epoch})`),
+            this.call(() => this.chainSource.getTreasuryFee(), 'treasuryFee'),
+            this.call(() => this.chainSource.getIntervalSeconds(), 'intervalSeconds'),
+            this.call(() => this.chainSource.getBufferSeconds(), 'bufferSeconds')
+        ]);
+        this.epoch = Number(epoch);
+        this.startTimestamp = Number(round.startTimestamp);
+        this.intervalSeconds = intervalSeconds;
+        this.bufferSeconds = bufferSeconds;
+        this.treasuryFee = treasuryFee;
+        // lockTimestamp is startTimestamp + intervalSeconds; fall back to that if the round is not readable yet
+        this.lockTimestamp = Number(round.lockTimestamp) || this.startTimestamp + intervalSeconds;
+        this.bets = new Map();
+        this.chainTotals = { up: round.bullAmount, down: round.bearAmount };
+        this.reconciledAt = Date.now();
+        this.stats.roundsTracked++;
+    }
+
+    addBet(betKey, direction, amountWei, data) {
+        if (this.bets.has(betKey)) return false;
+        this.bets.set(betKey, { direction, amountWei: BigInt(amountWei), data });
+        return true;
+    }
+
+    removeBet(betKey) {
+        return this.bets.delete(betKey);
+    }
+
+    // rounds() may be read at a block behind the latest event, so only a chain total above the tracked one is
+    // treated as missed bets; the larger of the two is reported
+    async reconcile() {
+        if (this.epoch === null) return false;
+        const epoch = this.epoch;
+        const round = await this.call(() => this.chainSource.getRound(epoch), `rounds(${epoch})`);
+        if (epoch !== this.epoch) return false; // A new round started while the call was in flight
+        const tracked = this.getTrackedTotals();
+        const adjusted = round.bullAmount > tracked.up || round.bearAmount > tracked.down;
+        if (adjusted) {
+            console.warn(`⚠️ [RoundPoolTracker] Epoch ${epoch} chain pool exceeds tracked bets (UP ${ethers.formatEther(round.bullAmount)} vs ${ethers.formatEther(tracked.up)}, DOWN ${ethers.formatEther(round.bearAmount)} vs ${ethers.formatEther(tracked.down)}).`);
+            this.stats.reconcileAdjustments++;
+        }
+        this.chainTotals = { up: round.bullAmount, down: round.bearAmount };
+        this.reconciledAt = Date.now();
+        this.stats.reconciliations++;
+        return adjusted;
+    }
+
+    getTrackedTotals() {
+        const totals = { up: 0n, down: 0n, upCount: 0, downCount: 0 };
+        for (const bet of this.bets.values()) {
+            if (bet.direction === 'UP') {
+                totals.up += bet.amountWei;
+                totals.upCount++;
+            } else {
+                totals.down += bet.amountWei;
+                totals.downCount++;
+            }
+        }
+        return totals;
+    }
+
+    // Multiplier a winning side would get if the round locked now: total after treasury fee / side total
+    static impliedPayout(totalWei, sideWei, treasuryFee) {
+        if (sideWei === 0n || treasuryFee === null) return null;
+        const scaled = (totalWei * BigInt(10000 - treasuryFee)) / sideWei; // multiplier * 10000
+        return (Number(scaled) / 10000).toFixed(4);
+    }
+
+    getCountdown(now = Date.now()) {
+        if (this.lockTimestamp === null) return null;
+        const nowSeconds = Math.floor(now / 1000);
+        return {
+            lockTimestamp: this.lockTimestamp,
+            secondsToLock: Math.max(0, this.lockTimestamp - nowSeconds),
+            // The operator must lock within bufferSeconds, otherwise the round is cancelled and refunded
+            lockDeadline: this.lockTimestamp + this.bufferSeconds,
+            intervalSeconds: this.intervalSeconds,
+            bufferSeconds: this.bufferSeconds
+        };
+    }
+
+    getState() {
+        if (this.epoch === null) return null;
+        const tracked = this.getTrackedTotals();
+        const up = tracked.up > this.chainTotals.up ? tracked.up : this.chainTotals.up;
+        const down = tracked.down > this.chainTotals.down ? tracked.down : this.chainTotals.down;
+        return {
+            epoch: String(this.epoch),
+            upAmount: ethers.formatEther(up),
+            downAmount: ethers.formatEther(down),
+            totalAmount: ethers.formatEther(up + down),
+            upCount: tracked.upCount,
+            downCount: tracked.downCount,
+            upPayout: RoundPoolTracker.impliedPayout(up + down, up, this.treasuryFee),
+            downPayout: RoundPoolTracker.impliedPayout(up + down, down, this.treasuryFee),
+            treasuryFee: this.treasuryFee,
+            startTimestamp: this.startTimestamp,
+            ...this.getCountdown(),
+            reconciledAt: this.reconciledAt
+        };
+    }
+
+    getBets() {
+        return Array.from(this.bets.values()).map(bet => bet.data);
+    }
+
+    getStats() {
+        return { ...this.stats, epoch: this.epoch, bets: this.bets.size };
+    }
+}
+
+module.exports = RoundPoolTracker;
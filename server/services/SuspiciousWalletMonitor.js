@@ -0,0 +1,159 @@
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const BLOCK_PILE_HISTORY = 20; // Blocks kept for the same-block rule; bets arrive within a few blocks of their own
+
+// A rule is { id, severity, evaluate(bet, context) } where evaluate returns { dedupKey, walletAddress?, evidence } or null.
+//   bet:     { epoch, wallet_address, bet_direction, amount, tx_hash, log_index, block_number }
+//   context: { pool: RoundPoolTracker.getState() including the bet, or null for another epoch; blockTimestamp }
+const RULE_FACTORIES = {
+    // A single bet that is a large share of the pool it lands in
+    whale_bet: (config) => ({
+        id: 'whale_bet',
+        severity: config.whaleSeverity,
+        evaluate(bet, { pool }) {
+            const amount = Number(bet.amount);
+            if (!pool || amount < config.whaleMinAmount || Number(pool.totalAmount) === 0) return null;
+            const poolShare = amount / Number(pool.totalAmount);
+            if (poolShare < config.whalePoolShare) return null;
+            return {
+                dedupKey: `${bet.tx_hash}_${bet.log_index}`,
+                evidence: { amount: bet.amount, direction: bet.bet_direction, poolShare: Number(poolShare.toFixed(4)), totalAmount: pool.totalAmount, upAmount: pool.upAmount, downAmount: pool.downAmount }
+            };
+        }
+    }),
+
+    // Bets mined just before lockTimestamp, when the final odds are nearly known
+    last_second_bet: (config) => ({
+        id: 'last_second_bet',
+        severity: config.lastSecondSeverity,
+        evaluate(bet, { pool, blockTimestamp }) {
+            if (!pool || !blockTimestamp || Number(bet.amount) < config.lastSecondMinAmount) return null;
+            const secondsBeforeLock = pool.lockTimestamp - blockTimestamp;
+            if (secondsBeforeLock < 0 || secondsBeforeLock > config.lastSecondWindow) return null;
+            return {
+                dedupKey: `${bet.tx_hash}_${bet.log_index}`,
+                evidence: { amount: bet.amount, direction: bet.bet_direction, secondsBeforeLock, blockTimestamp, lockTimestamp: pool.lockTimestamp }
+            };
+        }
+    }),
+
+    // Many wallets betting the same side in one block suggests one operator behind them; fires once per block and side
+    block_pile: (config) => {
+        const blocks = new Map(); // blockNumber -> { UP: Map<wallet, amount>, DOWN: Map<wallet, amount> }
+        return {
+            id: 'block_pile',
+            severity: config.blockPileSeverity,
+            evaluate(bet) {
+                if (!blocks.has(bet.block_number)) {
+                    blocks.set(bet.block_number, { UP: new Map(), DOWN: new Map() });
+                    for (const blockNumber of blocks.keys()) {
+                        if (blockNumber < bet.block_number - BLOCK_PILE_HISTORY) blocks.delete(blockNumber);
+                    }
+                }
+                const side = blocks.get(bet.block_number)[bet.bet_direction];
+                side.set(bet.wallet_address, bet.amount);
+                if (side.size !== config.blockPileWallets) return null;
+                return {
+                    dedupKey: `${bet.epoch}_${bet.block_number}_${bet.bet_direction}`,
+                    walletAddress: null,
+                    evidence: {
+                        direction: bet.bet_direction,
+                        wallets: Array.from(side.keys()),
+                        totalAmount: Array.from(side.values()).reduce((sum, amount) => sum + Number(amount), 0).toFixed(8)
+                    }
+                };
+            }
+        };
+    }
+};
+
+// Rule engine over live bets. Triggered alerts go to wallet_alert; dedup_key keeps replays and replicas to one row.
+class SuspiciousWalletMonitor {
+    constructor(connectionManager, config = SuspiciousWalletMonitor.loadConfig()) {
+        this.connectionManager = connectionManager;
+        this.config = config;
+        // A misconfigured rule list must not stop the listener, so unknown rules are reported and left out
+        this.rules = config.rules.filter(id => {
+            if (RULE_FACTORIES[id]) return true;
+            console.error(`❌ [SuspiciousWalletMonitor] Ignoring unknown alert rule in ALERT_RULES: ${id}`);
+            return false;
+        }).map(id => RULE_FACTORIES[id](config));
+        this.stats = { betsChecked: 0, alertsTriggered: 0, alertsSaved: 0 };
+    }
+
+    static loadConfig() {
+        const severity = (name, fallback) => {
+            const value = (process.env[name] || fallback).toUpperCase();
+            if (SEVERITIES.includes(value)) return value;
+            console.error(`❌ [SuspiciousWalletMonitor] ${name} must be one of ${SEVERITIES.join(', ')}, using ${fallback}`);
+            return fallback;
+        };
+        return {
+            rules: (process.env.ALERT_RULES || Object.keys(RULE_FACTORIES).join(',')).split(',').map(id => id.trim()).filter(Boolean),
+            whaleMinAmount: parseFloat(process.env.ALERT_WHALE_MIN_AMOUNT || '1'),
+            whalePoolShare: parseFloat(process.env.ALERT_WHALE_POOL_SHARE || '0.25'),
+            whaleSeverity: severity('ALERT_WHALE_SEVERITY', 'HIGH'),
+            lastSecondWindow: parseInt(process.env.ALERT_LAST_SECOND_WINDOW_SECONDS || '5', 10),
+            lastSecondMinAmount: parseFloat(process.env.ALERT_LAST_SECOND_MIN_AMOUNT || '0.5'),
+            lastSecondSeverity: severity('ALERT_LAST_SECOND_SEVERITY', 'MEDIUM'),
+            blockPileWallets: parseInt(process.env.ALERT_BLOCK_PILE_WALLETS || '5', 10),
+            blockPileSeverity: severity('ALERT_BLOCK_PILE_SEVERITY', 'MEDIUM')
+        };
+    }
+
+    evaluate(bet, context) {
+        this.stats.betsChecked++;
+        const alerts = [];
+        for (const rule of this.rules) {
+            const hit = rule.evaluate(bet, context);
+            if (!hit) continue;
+            alerts.push({
+                rule_id: rule.id,
+                severity: rule.severity,
+                epoch: bet.epoch,
+                wallet_address: hit.walletAddress === undefined ? bet.wallet_address : hit.walletAddress,
+                tx_hash: bet.tx_hash,
+                block_number: bet.block_number,
+                dedup_key: `${rule.id}:${hit.dedupKey}`,
+                evidence: hit.evidence
+            });
+        }
+        this.stats.alertsTriggered += alerts.length;
+        return alerts;
+    }
+
+    // Returns the alerts that were new; ones another replica or an earlier delivery of the log saved are left out
+    async saveAlerts(alerts) {
+        const saved = [];
+        for (const alert of alerts) {
+            const result = await this.connectionManager.executeQuery(
+                `INSERT INTO wallet_alert (rule_id, severity, epoch, wallet_address, tx_hash, block_number, dedup_key, evidence)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (dedup_key) DO NOTHING`,
+                [alert.rule_id, alert.severity, alert.epoch, alert.wallet_address, alert.tx_hash, alert.block_number, alert.dedup_key, JSON.stringify(alert.evidence)]
+            );
+            if (result.rowCount > 0) saved.push(alert);
+        }
+        this.stats.alertsSaved += saved.length;
+        return saved;
+    }
+
+    // A wallet filter also matches alerts that list the wallet in their evidence (block_pile)
+    async listAlerts({ limit = 100, wallet = null, ruleId = null, severity = null, epoch = null } = {}) {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT id, rule_id, severity, epoch, wallet_address, tx_hash, block_number, evidence, created_ts
+             FROM wallet_alert
+             WHERE ($1::text IS NULL OR wallet_address = $1 OR evidence->'wallets' ? $1)
+               AND ($2::text IS NULL OR rule_id = $2)
+               AND ($3::text IS NULL OR severity = $3)
+               AND ($4::bigint IS NULL OR epoch = $4)
+             ORDER BY id DESC LIMIT $5`,
+            [wallet, ruleId, severity, epoch, limit]
+        );
+        return result.rows;
+    }
+
+    getStats() {
+        return { ...this.stats, rules: this.rules.map(rule => rule.id) };
+    }
+}
+
+module.exports = SuspiciousWalletMonitor;
@@ -0,0 +1,110 @@
+const AlertDispatcher = require('./AlertDispatcher');
+
+class V6SingleRoundClaimDetector {
+    constructor(db) {
+        this.db = db;
+        this.suspiciousThreshold = 3;
+        this.liveClaims = new Map(); // `${claimEpoch}_${wallet}` -> Map<betEpoch, amount>, for the realtime listener
+    }
+
+    // Incremental version of checkSingleRoundMultiClaims for claims arriving one by one. Returns the wallet's
+    // detection once it passes the threshold (and again on every further bet epoch), otherwise null.
+    // Only the current and previous claim epochs are kept.
+    trackClaim(claimEpoch, claim) {
+        for (const key of this.liveClaims.keys()) {
+            if (Number(key.split('_')[0]) < claimEpoch - 1) this.liveClaims.delete(key);
+        }
+        const key = `${claimEpoch}_${claim.wallet_address}`;
+        const betEpochs = this.liveClaims.get(key) || new Map();
+        this.liveClaims.set(key, betEpochs);
+        if (betEpochs.has(claim.bet_epoch)) return null;
+        betEpochs.set(claim.bet_epoch, parseFloat(claim.claim_amount));
+        if (betEpochs.size <= this.suspiciousThreshold) return null;
+        console.log(`🚨 Live multi-claim detected: ${claim.wallet_address} claimed ${betEpochs.size} different bet epochs in epoch ${claimEpoch}`);
+        return {
+            wallet_address: claim.wallet_address,
+            epoch: claimEpoch,
+            claim_count: betEpochs.size,
+            total_amount: Array.from(betEpochs.values()).reduce((sum, amount) => sum + amount, 0),
+            betEpochs: Array.from(betEpochs.keys())
+        };
+    }
+
+    untrackClaim(claimEpoch, walletAddress, betEpoch) {
+        const betEpochs = this.liveClaims.get(`${claimEpoch}_${walletAddress}`);
+        return betEpochs ? betEpochs.delete(betEpoch) : false;
+    }
+
+    async checkSingleRoundMultiClaims(epoch, claimData) {
+        try {
+            const walletStats = {};
+            for (const claim of claimData) {
+                const wallet = claim.wallet_address.toLowerCase();
+                const amount = parseFloat(claim.claim_amount);
+                const betEpoch = claim.bet_epoch;
+                if (!walletStats[wallet]) {
+                    walletStats[wallet] = { betEpochs: new Set(), totalAmount: 0, claimCount: 0 };
+                }
+                walletStats[wallet].betEpochs.add(betEpoch);
+                walletStats[wallet].totalAmount += amount;
+                walletStats[wallet].claimCount++;
+            }
+
+            const suspiciousWallets = [];
+            for (const [wallet, stats] of Object.entries(walletStats)) {
+                const uniqueBetEpochs = stats.betEpochs.size;
+                if (uniqueBetEpochs > this.suspiciousThreshold) {
+                    suspiciousWallets.push({
+                        wallet_address: wallet,
+                        epoch: epoch,
+                        claim_count: uniqueBetEpochs, // 改為不同bet_epoch的數量
+                        total_amount: stats.totalAmount,
+                        betEpochs: Array.from(stats.betEpochs) // 傳遞實際的bet_epochs陣列
+                    });
+                    console.log(`🚨 Suspicious multi-claim detected: ${wallet} claimed ${uniqueBetEpochs} different bet epochs in epoch ${epoch}`);
+                }
+            }
+
+            if (suspiciousWallets.length > 0) {
+                await this.recordSuspiciousWallets(suspiciousWallets);
+            }
+            return suspiciousWallets;
+        } catch (error) {
+            console.error('❌ Single round multi-claim check failed:', error);
+            return [];
+        }
+    }
+
+    async recordSuspiciousWallets(suspiciousWallets) {
+        try {
+            for (const suspicious of suspiciousWallets) {
+                const query = `
+                    INSERT INTO multi_round_claimer (claim_epoch, wallet_address, rounds_claimed, total_amount, bet_epochs)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (claim_epoch, wallet_address) DO UPDATE SET
+                        rounds_claimed = EXCLUDED.rounds_claimed,
+                        total_amount = EXCLUDED.total_amount,
+                        bet_epochs = EXCLUDED.bet_epochs
+                    RETURNING (xmax = 0) AS inserted;
+                `;
+                const betEpochs = Array.from(suspicious.betEpochs || []);
+                const result = await this.db.executeQuery(query, [suspicious.epoch, suspicious.wallet_address, suspicious.claim_count, suspicious.total_amount, betEpochs]);
+                // Re-crawls update the existing row and are not pushed again
+                if (result.rows[0].inserted) {
+                    AlertDispatcher.dispatch('multi_round_claim', `multi_round_claim:${suspicious.epoch}:${suspicious.wallet_address}`, 'HIGH', {
+                        claim_epoch: suspicious.epoch,
+                        wallet_address: suspicious.wallet_address,
+                        rounds_claimed: suspicious.claim_count,
+                        total_amount: suspicious.total_amount,
+                        bet_epochs: betEpochs
+                    });
+                }
+            }
+            console.log(`✅ Recorded ${suspiciousWallets.length} suspicious wallets to multi_round_claimer table`);
+        } catch (error) {
+            console.error('❌ Failed to record suspicious wallets:', error);
+        }
+    }
+}
+
+module.exports = V6SingleRoundClaimDetector;
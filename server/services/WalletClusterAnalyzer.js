@@ -0,0 +1,253 @@
+// Two bets co-occur when they are in the same epoch and direction, at most blockGap blocks apart, and differ in
+// amount by at most amountTolerance of the larger one. A pair's score is the Jaccard index of the epochs both wallets
+// bet in: co-occurring epochs / epochs either wallet bet in.
+const PAIR_SQL = `WITH bets AS (
+        SELECT epoch, wallet_address, bet_direction, amount, block_number FROM hisbet WHERE epoch BETWEEN $1 AND $2
+    ),
+    pairs AS (
+        SELECT a.wallet_address AS wallet_a, b.wallet_address AS wallet_b,
+               COUNT(DISTINCT a.epoch)::int AS co_bets, MIN(a.epoch) AS first_epoch, MAX(a.epoch) AS last_epoch
+        FROM bets a
+        JOIN bets b ON b.epoch = a.epoch AND b.bet_direction = a.bet_direction AND b.wallet_address > a.wallet_address
+                   AND b.block_number BETWEEN a.block_number - $3 AND a.block_number + $3
+                   AND ABS(a.amount - b.amount) <= $4 * GREATEST(a.amount, b.amount)
+        GROUP BY a.wallet_address, b.wallet_address
+        HAVING COUNT(DISTINCT a.epoch) >= $5
+    ),
+    epochs AS (
+        SELECT wallet_address, COUNT(DISTINCT epoch)::int AS epochs FROM bets GROUP BY wallet_address
+    )
+    SELECT p.wallet_a, p.wallet_b, p.co_bets, p.first_epoch, p.last_epoch, ea.epochs AS bets_a, eb.epochs AS bets_b,
+           ROUND(p.co_bets::numeric / (ea.epochs + eb.epochs - p.co_bets), 4) AS score
+    FROM pairs p
+    JOIN epochs ea ON ea.wallet_address = p.wallet_a
+    JOIN epochs eb ON eb.wallet_address = p.wallet_b
+    ORDER BY p.wallet_a, p.wallet_b`;
+
+const MEMBER_STATS_SQL = `SELECT wallet_address, COUNT(*)::int AS bets, COALESCE(SUM(amount), 0) AS total_amount, COALESCE(SUM(pnl), 0) AS total_pnl,
+           COUNT(*) FILTER (WHERE result = 'WIN')::int AS wins
+    FROM hisbet WHERE epoch BETWEEN $1 AND $2 AND wallet_address = ANY($3::text[])
+    GROUP BY wallet_address`;
+
+// Batch detection of wallets that bet together, over a window of crawled epochs. Each run replaces the stored
+// clusters: wallet_cluster_run -> wallet_cluster -> wallet_cluster_member / wallet_cluster_pair.
+class WalletClusterAnalyzer {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+        this.window = parseInt(process.env.CLUSTER_WINDOW_EPOCHS || '2016', 10); // About a week of 5-minute rounds
+        this.blockGap = parseInt(process.env.CLUSTER_BLOCK_GAP || '1', 10);
+        this.amountTolerance = parseFloat(process.env.CLUSTER_AMOUNT_TOLERANCE || '0.1');
+        this.minCoBets = parseInt(process.env.CLUSTER_MIN_CO_BETS || '5', 10);
+        this.minScore = parseFloat(process.env.CLUSTER_MIN_SCORE || '0.3');
+        this.interval = parseInt(process.env.CLUSTER_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10);
+        this.timer = null;
+        this.isAnalyzing = false;
+        this.stats = { runs: 0, pairsFound: 0, clustersFound: 0, lastRun: null };
+    }
+
+    start() {
+        console.log(`🕸️ [WalletClusterAnalyzer] Clustering the last ${this.window} epochs every ${this.interval}ms`);
+        this.timer = setInterval(() => this.analyzeRecentEpochs(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async analyzeRecentEpochs() {
+        if (this.isAnalyzing) return;
+        this.isAnalyzing = true;
+        try {
+            const latest = await this.connectionManager.executeQuery('SELECT MAX(epoch) AS epoch FROM hisbet');
+            if (latest.rows[0].epoch === null) return;
+            const toEpoch = Number(latest.rows[0].epoch);
+            await this.analyzeRange(Math.max(1, toEpoch - this.window + 1), toEpoch);
+        } catch (error) {
+            console.error('❌ [WalletClusterAnalyzer] Analysis failed:', error.message);
+        } finally {
+            this.isAnalyzing = false;
+        }
+    }
+
+    // Connected components of the graph of pairs scoring at least minScore. Members and pairs are sorted, and clusters
+    // are numbered by size then first member, so the result does not depend on the order of the input pairs.
+    static buildClusters(pairs, minScore = 0) {
+        const linked = pairs.filter(pair => Number(pair.score) >= minScore);
+        const parent = new Map();
+        const find = (wallet) => {
+            let root = wallet;
+            while (parent.get(root) !== root) root = parent.get(root);
+            parent.set(wallet, root);
+            return root;
+        };
+        for (const pair of linked) {
+            for (const wallet of [pair.wallet_a, pair.wallet_b]) {
+                if (!parent.has(wallet)) parent.set(wallet, wallet);
+            }
+            const rootA = find(pair.wallet_a);
+            const rootB = find(pair.wallet_b);
+            if (rootA !== rootB) parent.set(rootA < rootB ? rootB : rootA, rootA < rootB ? rootA : rootB);
+        }
+
+        const components = new Map(); // root -> { members, pairs }
+        for (const wallet of parent.keys()) {
+            const root = find(wallet);
+            if (!components.has(root)) components.set(root, { members: [], pairs: [] });
+            components.get(root).members.push(wallet);
+        }
+        for (const pair of linked) components.get(find(pair.wallet_a)).pairs.push(pair);
+
+        const pairOrder = (a, b) => (a.wallet_a === b.wallet_a ? (a.wallet_b < b.wallet_b ? -1 : 1) : (a.wallet_a < b.wallet_a ? -1 : 1));
+        return Array.from(components.values())
+            .map(component => ({ members: component.members.sort(), pairs: component.pairs.sort(pairOrder) }))
+            .sort((a, b) => b.members.length - a.members.length || (a.members[0] < b.members[0] ? -1 : 1))
+            .map((component, index) => ({ clusterNo: index + 1, ...component }));
+    }
+
+    async analyzeRange(fromEpoch, toEpoch) {
+        const startedAt = Date.now();
+        const pairResult = await this.connectionManager.executeQuery(PAIR_SQL, [fromEpoch, toEpoch, this.blockGap, this.amountTolerance, this.minCoBets]);
+        const clusters = WalletClusterAnalyzer.buildClusters(pairResult.rows, this.minScore);
+        const pairs = clusters.flatMap(cluster => cluster.pairs);
+        const wallets = clusters.flatMap(cluster => cluster.members);
+        const memberStats = new Map();
+        if (wallets.length > 0) {
+            const result = await this.connectionManager.executeQuery(MEMBER_STATS_SQL, [fromEpoch, toEpoch, wallets]);
+            for (const row of result.rows) memberStats.set(row.wallet_address, row);
+        }
+
+        const runId = Number((await this.connectionManager.executeQuery("SELECT nextval(pg_get_serial_sequence('wallet_cluster_run', 'id')) AS id")).rows[0].id);
+        const params = { blockGap: this.blockGap, amountTolerance: this.amountTolerance, minCoBets: this.minCoBets, minScore: this.minScore };
+        const clusterOf = new Map();
+        clusters.forEach(cluster => cluster.members.forEach(wallet => clusterOf.set(wallet, cluster.clusterNo)));
+        const memberRows = wallets.map(wallet => memberStats.get(wallet));
+
+        // Previous runs go in the same transaction, so readers always see one complete run
+        await this.connectionManager.executeTransaction([
+            {
+                sql: `INSERT INTO wallet_cluster_run (id, from_epoch, to_epoch, params, pair_count, cluster_count, duration_ms)
+                      VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                params: [runId, fromEpoch, toEpoch, JSON.stringify(params), pairs.length, clusters.length, Date.now() - startedAt]
+            },
+            {
+                sql: `INSERT INTO wallet_cluster (run_id, cluster_no, member_count, pair_count, avg_score, max_co_bets)
+                      SELECT $1::bigint, * FROM unnest($2::int[], $3::int[], $4::int[], $5::numeric[], $6::int[])`,
+                params: [
+                    runId,
+                    clusters.map(cluster => cluster.clusterNo),
+                    clusters.map(cluster => cluster.members.length),
+                    clusters.map(cluster => cluster.pairs.length),
+                    clusters.map(cluster => (cluster.pairs.reduce((sum, pair) => sum + Number(pair.score), 0) / cluster.pairs.length).toFixed(4)),
+                    clusters.map(cluster => Math.max(...cluster.pairs.map(pair => pair.co_bets)))
+                ]
+            },
+            {
+                sql: `INSERT INTO wallet_cluster_member (run_id, cluster_no, wallet_address, bets, wins, total_amount, total_pnl)
+                      SELECT $1::bigint, * FROM unnest($2::int[], $3::text[], $4::int[], $5::int[], $6::numeric[], $7::numeric[])`,
+                params: [
+                    runId,
+                    memberRows.map(row => clusterOf.get(row.wallet_address)),
+                    memberRows.map(row => row.wallet_address),
+                    memberRows.map(row => row.bets),
+                    memberRows.map(row => row.wins),
+                    memberRows.map(row => row.total_amount),
+                    memberRows.map(row => row.total_pnl)
+                ]
+            },
+            {
+                sql: `INSERT INTO wallet_cluster_pair (run_id, cluster_no, wallet_a, wallet_b, co_bets, bets_a, bets_b, score, first_epoch, last_epoch)
+                      SELECT $1::bigint, * FROM unnest($2::int[], $3::text[], $4::text[], $5::int[], $6::int[], $7::int[], $8::numeric[], $9::bigint[], $10::bigint[])`,
+                params: [
+                    runId,
+                    pairs.map(pair => clusterOf.get(pair.wallet_a)),
+                    pairs.map(pair => pair.wallet_a),
+                    pairs.map(pair => pair.wallet_b),
+                    pairs.map(pair => pair.co_bets),
+                    pairs.map(pair => pair.bets_a),
+                    pairs.map(pair => pair.bets_b),
+                    pairs.map(pair => pair.score),
+                    pairs.map(pair => pair.first_epoch),
+                    pairs.map(pair => pair.last_epoch)
+                ]
+            },
+            { sql: 'DELETE FROM wallet_cluster_run WHERE id < $1', params: [runId] }
+        ]);
+
+        this.stats.runs++;
+        this.stats.pairsFound = pairs.length;
+        this.stats.clustersFound = clusters.length;
+        this.stats.lastRun = new Date().toISOString();
+        console.log(`🕸️ [WalletClusterAnalyzer] Epochs ${fromEpoch}-${toEpoch}: ${pairs.length} co-betting pairs in ${clusters.length} clusters (${Date.now() - startedAt}ms).`);
+        return { runId, fromEpoch, toEpoch, pairs: pairs.length, clusters: clusters.length };
+    }
+
+    async getLatestRun() {
+        const result = await this.connectionManager.executeQuery(
+            `SELECT id, from_epoch, to_epoch, params, pair_count, cluster_count, duration_ms, to_char(created_ts, 'YYYY-MM-DD HH24:MI:SS') AS created_ts
+             FROM wallet_cluster_run ORDER BY id DESC LIMIT 1`
+        );
+        return result.rows[0] || null;
+    }
+
+    // PnL is summed over every bet the members placed in the run's epoch window, not only the co-occurring ones
+    async getCluster(runId, clusterNo) {
+        const [cluster, members, pairs] = await Promise.all([
+            this.connectionManager.executeQuery(
+                `SELECT c.cluster_no, c.member_count, c.pair_count, c.avg_score, c.max_co_bets,
+                        SUM(m.bets)::int AS bets, SUM(m.wins)::int AS wins, SUM(m.total_amount) AS total_amount, SUM(m.total_pnl) AS total_pnl,
+                        ROUND(SUM(m.wins)::numeric / NULLIF(SUM(m.bets), 0), 4) AS win_rate
+                 FROM wallet_cluster c JOIN wallet_cluster_member m ON m.run_id = c.run_id AND m.cluster_no = c.cluster_no
+                 WHERE c.run_id = $1 AND c.cluster_no = $2
+                 GROUP BY c.cluster_no, c.member_count, c.pair_count, c.avg_score, c.max_co_bets`,
+                [runId, clusterNo]
+            ),
+            this.connectionManager.executeQuery(
+                `SELECT wallet_address, bets, wins, total_amount, total_pnl FROM wallet_cluster_member
+                 WHERE run_id = $1 AND cluster_no = $2 ORDER BY total_pnl DESC`,
+                [runId, clusterNo]
+            ),
+            this.connectionManager.executeQuery(
+                `SELECT wallet_a, wallet_b, co_bets, bets_a, bets_b, score, first_epoch, last_epoch FROM wallet_cluster_pair
+                 WHERE run_id = $1 AND cluster_no = $2 ORDER BY score DESC, co_bets DESC`,
+                [runId, clusterNo]
+            )
+        ]);
+        if (cluster.rows.length === 0) return null;
+        return { ...cluster.rows[0], members: members.rows, pairs: pairs.rows };
+    }
+
+    async getWalletCluster(wallet) {
+        const run = await this.getLatestRun();
+        if (!run) return { run: null, cluster: null };
+        const membership = await this.connectionManager.executeQuery(
+            'SELECT cluster_no FROM wallet_cluster_member WHERE run_id = $1 AND wallet_address = $2',
+            [run.id, wallet]
+        );
+        if (membership.rows.length === 0) return { run, cluster: null };
+        return { run, cluster: await this.getCluster(run.id, membership.rows[0].cluster_no) };
+    }
+
+    async listClusters(limit = 100) {
+        const run = await this.getLatestRun();
+        if (!run) return { run: null, clusters: [] };
+        const result = await this.connectionManager.executeQuery(
+            `SELECT c.cluster_no, c.member_count, c.pair_count, c.avg_score, c.max_co_bets,
+                    SUM(m.bets)::int AS bets, SUM(m.total_amount) AS total_amount, SUM(m.total_pnl) AS total_pnl
+             FROM wallet_cluster c JOIN wallet_cluster_member m ON m.run_id = c.run_id AND m.cluster_no = c.cluster_no
+             WHERE c.run_id = $1
+             GROUP BY c.cluster_no, c.member_count, c.pair_count, c.avg_score, c.max_co_bets
+             ORDER BY c.cluster_no LIMIT $2`,
+            [run.id, limit]
+        );
+        return { run, clusters: result.rows };
+    }
+
+    getStats() {
+        return { ...this.stats, window: this.window };
+    }
+}
+
+module.exports = WalletClusterAnalyzer;
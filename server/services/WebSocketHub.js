@@ -0,0 +1,207 @@
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+const CHANNELS = ['bets', 'rounds', 'claims', 'alerts'];
+const DIRECTIONS = ['UP', 'DOWN'];
+const WALLET_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const MAX_FILTER_WALLETS = 100;
+const PROTOCOL_VERSION = 1;
+
+// Every server message is an envelope { v, type, seq, ts, payload }. Channel messages carry an increasing seq that
+// is unique within streamId (one per server start); replies to a single client have seq null.
+//
+// Client commands (JSON text frames):
+//   { op: 'subscribe', channel, filters?: { wallet?: string | string[], minAmount?: number, direction?: 'UP' | 'DOWN' } }
+//   { op: 'unsubscribe', channel }
+//   { op: 'resume', streamId, since }   replays buffered channel messages after seq `since` for current subscriptions
+//   { op: 'snapshot' }
+//   { op: 'ping' }
+// Replies: 'subscribed', 'unsubscribed', 'resumed', 'resume_failed', 'snapshot', 'pong' or 'error'.
+class WebSocketHub {
+    constructor(server, options = {}) {
+        this.path = options.path || '/ws';
+        this.getSnapshot = options.getSnapshot || (() => ({}));
+        this.heartbeatInterval = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10);
+        this.bufferSize = parseInt(process.env.WS_RESUME_BUFFER_SIZE || '1000', 10);
+        this.streamId = crypto.randomUUID();
+        this.seq = 0;
+        this.buffer = []; // Recent channel messages for resume: { envelope, channel, meta }
+        this.clients = new Map(); // ws -> { subscriptions: Map<channel, filters>, isAlive }
+        this.heartbeatTimer = null;
+        this.stats = { connections: 0, messagesSent: 0, commandsReceived: 0, invalidCommands: 0, resumes: 0, resumeGaps: 0 };
+        this.wss = new WebSocket.Server({ server, path: this.path });
+        this.wss.on('connection', (ws) => this.handleConnection(ws));
+        this.startHeartbeat();
+    }
+
+    static parseFilters(filters = {}) {
+        if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) throw new Error('filters must be an object');
+        const parsed = {};
+        if (filters.wallet !== undefined) {
+            const wallets = Array.isArray(filters.wallet) ? filters.wallet : [filters.wallet];
+            if (wallets.length === 0 || wallets.length > MAX_FILTER_WALLETS) throw new Error(`wallet filter takes 1-${MAX_FILTER_WALLETS} addresses`);
+            if (!wallets.every(wallet => typeof wallet === 'string' && WALLET_PATTERN.test(wallet))) throw new Error('wallet filter must contain 0x addresses');
+            parsed.wallets = new Set(wallets.map(wallet => wallet.toLowerCase()));
+        }
+        if (filters.minAmount !== undefined) {
+            const minAmount = Number(filters.minAmount);
+            if (!Number.isFinite(minAmount) || minAmount < 0) throw new Error('minAmount must be a non-negative number');
+            parsed.minAmount = minAmount;
+        }
+        if (filters.direction !== undefined) {
+            const direction = String(filters.direction).toUpperCase();
+            if (!DIRECTIONS.includes(direction)) throw new Error('direction must be UP or DOWN');
+            parsed.direction = direction;
+        }
+        return parsed;
+    }
+
+    // A filter only rejects messages that carry the filtered attribute, so a wallet filter does not hide round events
+    static matches(filters, meta) {
+        if (filters.wallets && meta.wallet !== undefined && !filters.wallets.has(meta.wallet)) return false;
+        if (filters.minAmount !== undefined && meta.amount !== undefined && Number(meta.amount) < filters.minAmount) return false;
+        if (filters.direction && meta.direction !== undefined && meta.direction !== filters.direction) return false;
+        return true;
+    }
+
+    static describeFilters(filters) {
+        return {
+            ...(filters.wallets ? { wallet: Array.from(filters.wallets) } : {}),
+            ...(filters.minAmount !== undefined ? { minAmount: filters.minAmount } : {}),
+            ...(filters.direction ? { direction: filters.direction } : {})
+        };
+    }
+
+    handleConnection(ws) {
+        console.log('🔗 New frontend client connected.');
+        this.clients.set(ws, { subscriptions: new Map(), isAlive: true });
+        this.stats.connections++;
+        ws.on('pong', () => {
+            const client = this.clients.get(ws);
+            if (client) client.isAlive = true;
+        });
+        ws.on('message', (data) => this.handleCommand(ws, data));
+        ws.on('close', () => {
+            console.log('🔌 Frontend client disconnected.');
+            this.clients.delete(ws);
+        });
+        ws.on('error', (error) => {
+            console.error('❌ WebSocket client error:', error);
+            this.clients.delete(ws);
+        });
+        this.sendSnapshot(ws);
+    }
+
+    sendSnapshot(ws) {
+        this.send(ws, 'snapshot', { streamId: this.streamId, seq: this.seq, channels: CHANNELS, ...this.getSnapshot() });
+    }
+
+    resume(ws, client, streamId, since) {
+        const oldestSeq = this.buffer.length > 0 ? this.buffer[0].envelope.seq : this.seq + 1;
+        // A restarted server or a gap older than the buffer cannot be replayed; the client should take a new snapshot
+        if (streamId !== this.streamId || !Number.isInteger(since) || since < oldestSeq - 1 || since > this.seq) {
+            this.stats.resumeGaps++;
+            this.send(ws, 'resume_failed', { streamId: this.streamId, oldestSeq, latestSeq: this.seq });
+            return;
+        }
+        let replayed = 0;
+        for (const { envelope, channel, meta } of this.buffer) {
+            const filters = client.subscriptions.get(channel);
+            if (envelope.seq <= since || !filters || !WebSocketHub.matches(filters, meta)) continue;
+            ws.send(JSON.stringify(envelope));
+            replayed++;
+        }
+        this.stats.resumes++;
+        this.send(ws, 'resumed', { since, replayed, latestSeq: this.seq });
+    }
+
+    handleCommand(ws, data) {
+        const client = this.clients.get(ws);
+        if (!client) return;
+        this.stats.commandsReceived++;
+        client.isAlive = true;
+        try {
+            let command;
+            try {
+                command = JSON.parse(data.toString());
+            } catch (error) {
+                throw new Error('Commands must be JSON');
+            }
+
+            if (command.op === 'ping') {
+                this.send(ws, 'pong', {});
+            } else if (command.op === 'subscribe') {
+                if (!CHANNELS.includes(command.channel)) throw new Error(`Unknown channel: ${command.channel}`);
+                const filters = WebSocketHub.parseFilters(command.filters);
+                client.subscriptions.set(command.channel, filters);
+                this.send(ws, 'subscribed', { channel: command.channel, filters: WebSocketHub.describeFilters(filters) });
+            } else if (command.op === 'unsubscribe') {
+                if (!client.subscriptions.delete(command.channel)) throw new Error(`Not subscribed to ${command.channel}`);
+                this.send(ws, 'unsubscribed', { channel: command.channel });
+            } else if (command.op === 'resume') {
+                this.resume(ws, client, command.streamId, command.since);
+            } else if (command.op === 'snapshot') {
+                this.sendSnapshot(ws);
+            } else {
+                throw new Error(`Unknown op: ${command.op}`);
+            }
+        } catch (error) {
+            this.stats.invalidCommands++;
+            this.send(ws, 'error', { error: error.message });
+        }
+    }
+
+    static envelope(type, seq, payload) {
+        return { v: PROTOCOL_VERSION, type, seq, ts: Date.now(), payload };
+    }
+
+    // meta carries the filterable attributes of the message: { wallet, amount, direction }
+    publish(channel, type, payload, meta = {}) {
+        const envelope = WebSocketHub.envelope(type, ++this.seq, payload);
+        this.buffer.push({ envelope, channel, meta });
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        let messageStr = null;
+        for (const [ws, client] of this.clients) {
+            const filters = client.subscriptions.get(channel);
+            if (!filters || !WebSocketHub.matches(filters, meta) || ws.readyState !== WebSocket.OPEN) continue;
+            messageStr = messageStr || JSON.stringify(envelope);
+            ws.send(messageStr);
+            this.stats.messagesSent++;
+        }
+    }
+
+    send(ws, type, payload) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(WebSocketHub.envelope(type, null, payload)));
+    }
+
+    // Protocol-level pings catch clients that vanished without a close frame
+    startHeartbeat() {
+        this.heartbeatTimer = setInterval(() => {
+            for (const [ws, client] of this.clients) {
+                if (!client.isAlive) {
+                    ws.terminate();
+                    this.clients.delete(ws);
+                    continue;
+                }
+                client.isAlive = false;
+                ws.ping();
+            }
+        }, this.heartbeatInterval);
+    }
+
+    close() {
+        clearInterval(this.heartbeatTimer);
+        this.wss.close();
+    }
+
+    getStats() {
+        const subscribers = Object.fromEntries(CHANNELS.map(channel => [channel, 0]));
+        for (const client of this.clients.values()) {
+            for (const channel of client.subscriptions.keys()) subscribers[channel]++;
+        }
+        return { ...this.stats, clients: this.clients.size, subscribers, streamId: this.streamId, seq: this.seq, buffered: this.buffer.length };
+    }
+}
+
+module.exports = WebSocketHub;
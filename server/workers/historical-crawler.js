@@ -1,97 +1,59 @@
 const { ethers } = require('ethers');
 const ConnectionManager = require('../db/ConnectionManager');
 const TimeService = require('../services/TimeService');
-
-class V6SingleRoundClaimDetector {
-    constructor(db) {
-        this.db = db;
-        this.suspiciousThreshold = 3;
-    }
-
-    async checkSingleRoundMultiClaims(epoch, claimData) {
-        try {
-            const walletStats = {};
-            for (const claim of claimData) {
-                const wallet = claim.wallet_address.toLowerCase();
-                const amount = parseFloat(claim.claim_amount);
-                const betEpoch = claim.bet_epoch;
-                if (!walletStats[wallet]) {
-                    walletStats[wallet] = { betEpochs: new Set(), totalAmount: 0, claimCount: 0 };
-                }
-                walletStats[wallet].betEpochs.add(betEpoch);
-                walletStats[wallet].totalAmount += amount;
-                walletStats[wallet].claimCount++;
-            }
-
-            const suspiciousWallets = [];
-            for (const [wallet, stats] of Object.entries(walletStats)) {
-                const uniqueBetEpochs = stats.betEpochs.size;
-                if (uniqueBetEpochs > this.suspiciousThreshold) {
-                    suspiciousWallets.push({
-                        wallet_address: wallet,
-                        epoch: epoch,
-                        claim_count: uniqueBetEpochs, // 改為不同bet_epoch的數量
-                        total_amount: stats.totalAmount,
-                        betEpochs: Array.from(stats.betEpochs) // 傳遞實際的bet_epochs陣列
-                    });
-                    console.log(`🚨 Suspicious multi-claim detected: ${wallet} claimed ${uniqueBetEpochs} different bet epochs in epoch ${epoch}`);
-                }
-            }
-
-            if (suspiciousWallets.length > 0) {
-                await this.recordSuspiciousWallets(suspiciousWallets);
-            }
-            return suspiciousWallets;
-        } catch (error) {
-            console.error('❌ Single round multi-claim check failed:', error);
-            return [];
-        }
-    }
-
-    async recordSuspiciousWallets(suspiciousWallets) {
-        try {
-            for (const suspicious of suspiciousWallets) {
-                const query = `
-                    INSERT INTO multi_round_claimer (claim_epoch, wallet_address, rounds_claimed, total_amount, bet_epochs)
-                    VALUES ($1, $2, $3, $4, $5)
-                    ON CONFLICT (claim_epoch, wallet_address) DO UPDATE SET
-                        rounds_claimed = EXCLUDED.rounds_claimed,
-                        total_amount = EXCLUDED.total_amount,
-                        bet_epochs = EXCLUDED.bet_epochs;
-                `;
-                const betEpochs = Array.from(suspicious.betEpochs || []);
-                await this.db.executeQuery(query, [suspicious.epoch, suspicious.wallet_address, suspicious.claim_count, suspicious.total_amount, betEpochs]);
-            }
-            console.log(`✅ Recorded ${suspiciousWallets.length} suspicious wallets to multi_round_claimer table`);
-        } catch (error) {
-            console.error('❌ Failed to record suspicious wallets:', error);
-        }
-    }
-}
+const BlockIndex = require('../services/BlockIndex');
+const BackfillEngine = require('../services/BackfillEngine');
+const ReorgVerifier = require('../services/ReorgVerifier');
+const ClaimReconciler = require('../services/ClaimReconciler');
+const BlockTimestampCache = require('../services/BlockTimestampCache');
+const RateLimiter = require('../services/RateLimiter');
+const DataAuditor = require('../services/DataAuditor');
+const { createChainSource } = require('../chain');
+const ListenerCoverage = require('../services/ListenerCoverage');
+const PoolTimeline = require('../services/PoolTimeline');
+const V6SingleRoundClaimDetector = require('../services/V6SingleRoundClaimDetector');
+
+const ROUND_LIFECYCLE_EVENTS = { StartRound: 'START', LockRound: 'LOCK', EndRound: 'END', RewardsCalculated: 'REWARDS' };
+const CONTRACT_CONFIG_EVENTS = new Set([
+    'Pause', 'Unpause', 'NewTreasuryFee', 'NewMinBetAmount', 'NewBufferAndIntervalSeconds', 'NewOracle',
+    'NewOracleUpdateAllowance', 'NewAdminAddress', 'NewOperatorAddress', 'OwnershipTransferred'
+]);
 
 class HistoricalCrawler {
     constructor() {
         this.connectionManager = ConnectionManager;
-        this.contract = null;
-        this.provider = null;
-        this.treasuryFeeRate = 0.03;
-        this.maxRequestsPerSecond = 100;
-        this.requestDelay = Math.ceil(1000 / this.maxRequestsPerSecond);
-        this.lastRequestTime = 0;
+        this.chainSource = null;
         this.claimDetector = null;
+        this.blockIndex = null;
+        this.blockTimestamps = null;
+        this.backfillEngine = null;
+        this.reorgVerifier = null;
+        this.dataAuditor = null;
+        this.poolTimeline = new PoolTimeline(ConnectionManager);
+        this.confirmationDepth = parseInt(process.env.CONFIRMATION_DEPTH || '15', 10);
+        this.coverageWindow = parseInt(process.env.LISTENER_COVERAGE_WINDOW_SECONDS || '3600', 10);
         this.failedAttempts = new Map();
+        this.maxEpochFailures = 3;
         this.isProcessingHistory = false;
-        this.shouldStopHistory = false;
+        this.backfillInterval = parseInt(process.env.BACKFILL_INTERVAL_MS || String(30 * 60 * 1000), 10);
+        this.epochsInFlight = new Set();
+        this.tailEnabled = process.env.CRAWLER_TAIL_MODE !== 'false';
+        this.tailInterval = parseInt(process.env.TAIL_POLL_INTERVAL_MS || '5000', 10);
+        this.isTailing = false;
+        this.lastTailedEpoch = null;
         this.stats = { roundsProcessed: 0, betsProcessed: 0, claimsProcessed: 0, suspiciousWalletsDetected: 0, errors: 0 };
     }
 
     async initialize() {
         try {
             console.log('🔄 Initializing Historical Crawler...');
-            await this.connectionManager.initialize();
-            this.provider = this.connectionManager.getHttpProvider();
-            this.contract = this.connectionManager.getContract();
+            this.chainSource = await createChainSource(this.connectionManager, 'http');
             this.claimDetector = new V6SingleRoundClaimDetector(this.connectionManager);
+            this.blockIndex = new BlockIndex(this.connectionManager, this.chainSource, (operation, operationName) => this.retryRequest(operation, operationName));
+            this.blockTimestamps = new BlockTimestampCache(this.connectionManager, this.chainSource, (operation, operationName) => this.retryRequest(operation, operationName));
+            this.backfillEngine = new BackfillEngine(this);
+            this.reorgVerifier = new ReorgVerifier(this);
+            this.dataAuditor = new DataAuditor(this);
             console.log('🚀 Historical Crawler initialized successfully');
         } catch (error) {
             console.error('❌ Historical Crawler initialization failed:', error);
@@ -99,57 +61,88 @@ class HistoricalCrawler {
         }
     }
 
-    async rateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        if (timeSinceLastRequest < this.requestDelay) {
-            await new Promise(resolve => setTimeout(resolve, this.requestDelay - timeSinceLastRequest));
-        }
-        this.lastRequestTime = Date.now();
-    }
-
+    // Throughput is governed by the shared RateLimiter inside the pooled HTTP provider; this only adds retries
     async retryRequest(operation, operationName, retries = 3) {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                await this.rateLimit();
-                return await operation();
-            } catch (error) {
-                if (attempt === retries) {
-                    console.error(`❌ ${operationName} failed after ${retries} attempts:`, error.message);
-                    throw error;
-                }
-                const delay = 2000 * attempt;
-                console.log(`⚠️ Retrying ${operationName} (attempt ${attempt}/${retries}) after ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
+        return RateLimiter.execute(operation, { name: operationName, retries });
     }
 
     async getCurrentEpoch() {
-        return Number(await this.retryRequest(() => this.contract.currentEpoch(), 'getCurrentEpoch'));
+        return Number(await this.retryRequest(() => this.chainSource.getCurrentEpoch(), 'getCurrentEpoch'));
     }
 
-    calculatePayouts(totalAmount, upAmount, downAmount) {
-        const totalAfterFee = totalAmount * (1 - this.treasuryFeeRate);
-        const upPayout = upAmount > 0 ? (totalAfterFee / upAmount).toFixed(4) : 0;
-        const downPayout = downAmount > 0 ? (totalAfterFee / downAmount).toFixed(4) : 0;
+    // Multipliers are truncated to the 4 decimals of up_payout/down_payout, as per-bet payouts are truncated to 8
+    formatPayout(numerator, denominator) {
+        return (Number((numerator * 10000n) / denominator) / 10000).toFixed(4);
+    }
+
+    calculatePayouts(totalWei, upWei, downWei, treasuryFee) {
+        const totalAfterFee = (totalWei * BigInt(10000 - treasuryFee)) / 10000n;
+        const upPayout = upWei > 0n ? this.formatPayout(totalAfterFee, upWei) : 0;
+        const downPayout = downWei > 0n ? this.formatPayout(totalAfterFee, downWei) : 0;
         return { upPayout, downPayout };
     }
 
-    async hasRoundData(epoch) {
-        const result = await this.connectionManager.executeQuery('SELECT epoch FROM round WHERE epoch = $1', [epoch]);
-        return result.rows.length > 0;
+    // chainTimestamp is the latest block's time, so a replayed capture gets the same answer as the live crawl
+    getRoundResult(round, bufferSeconds, chainTimestamp) {
+        if (round.oracleCalled) {
+            if (round.closePrice > round.lockPrice) return 'UP';
+            if (round.closePrice < round.lockPrice) return 'DOWN';
+            return 'HOUSE'; // Tie: the contract sends the whole pool to the treasury
+        }
+        // Without an oracle call the round becomes refundable once the buffer after closeTimestamp has passed
+        const refundableAfter = Number(round.closeTimestamp) + bufferSeconds;
+        return chainTimestamp > refundableAfter ? 'CANCELLED' : null;
+    }
+
+    async getChainTimestamp() {
+        const blockNumber = await this.retryRequest(() => this.chainSource.getBlockNumber(), 'getBlockNumber');
+        const block = await this.retryRequest(() => this.chainSource.getBlock(blockNumber), `getBlock ${blockNumber}`);
+        return Number(block.timestamp);
+    }
+
+    getBetResult(direction, roundResult) {
+        if (!roundResult) return null;
+        if (roundResult === 'CANCELLED') return 'REFUND';
+        if (roundResult === 'HOUSE') return 'LOSS';
+        return direction === roundResult ? 'WIN' : 'LOSS';
+    }
+
+    async getTreasuryFee(epoch, round) {
+        // Exact for rounds with winners: rewardAmount is totalAmount minus the treasury cut
+        if (round.oracleCalled && round.rewardBaseCalAmount > 0n && round.totalAmount > 0n) {
+            return Number(((round.totalAmount - round.rewardAmount) * 10000n + round.totalAmount / 2n) / round.totalAmount);
+        }
+        const history = await this.connectionManager.executeQuery(
+            `SELECT params->>'treasuryFee' AS treasury_fee FROM contract_config_history WHERE event_name = 'NewTreasuryFee' AND epoch <= $1 ORDER BY block_number DESC, log_index DESC LIMIT 1`,
+            [epoch]
+        );
+        if (history.rows.length > 0) return Number(history.rows[0].treasury_fee);
+        return this.retryRequest(() => this.chainSource.getTreasuryFee(), 'getTreasuryFee');
     }
 
     async getRoundData(epoch) {
-        const round = await this.retryRequest(() => this.contract.rounds(epoch), `getRoundData for epoch ${epoch}`);
-        if (Number(round.closeTimestamp) === 0) return null;
+        const round = await this.retryRequest(() => this.chainSource.getRound(epoch), `getRoundData for epoch ${epoch}`);
+        if (Number(round.startTimestamp) === 0) return null;
+
+        const bufferSeconds = round.oracleCalled ? 0 : await this.retryRequest(() => this.chainSource.getBufferSeconds(), 'getBufferSeconds');
+        const chainTimestamp = round.oracleCalled ? null : await this.getChainTimestamp();
+        const result = this.getRoundResult(round, bufferSeconds, chainTimestamp);
+        if (!result) return null;
 
-        const result = Number(round.closePrice) > Number(round.lockPrice) ? 'UP' : 'DOWN';
+        const treasuryFee = await this.getTreasuryFee(epoch, round);
         const totalAmount = parseFloat(ethers.formatEther(round.totalAmount));
         const bullAmount = parseFloat(ethers.formatEther(round.bullAmount));
         const bearAmount = parseFloat(ethers.formatEther(round.bearAmount));
-        const payouts = this.calculatePayouts(totalAmount, bullAmount, bearAmount);
+        const payouts = result === 'CANCELLED'
+            ? { upPayout: bullAmount > 0 ? '1.0000' : 0, downPayout: bearAmount > 0 ? '1.0000' : 0 }
+            : this.calculatePayouts(round.totalAmount, round.bullAmount, round.bearAmount, treasuryFee);
+
+        // The winning side's multiplier comes straight from the contract's reward accounting
+        if ((result === 'UP' || result === 'DOWN') && round.rewardBaseCalAmount > 0n) {
+            const winnerPayout = this.formatPayout(round.rewardAmount, round.rewardBaseCalAmount);
+            if (result === 'UP') payouts.upPayout = winnerPayout;
+            else payouts.downPayout = winnerPayout;
+        }
 
         return {
             epoch: Number(round.epoch),
@@ -160,88 +153,98 @@ class HistoricalCrawler {
             lock_price: ethers.formatUnits(round.lockPrice, 8),
             close_price: ethers.formatUnits(round.closePrice, 8),
             result,
+            oracle_called: round.oracleCalled,
             total_amount: totalAmount.toString(),
             up_amount: bullAmount.toString(),
             down_amount: bearAmount.toString(),
             up_payout: payouts.upPayout,
-            down_payout: payouts.downPayout
+            down_payout: payouts.downPayout,
+            treasury_fee: treasuryFee,
+            reward_base_cal_amount: ethers.formatEther(round.rewardBaseCalAmount),
+            reward_amount: ethers.formatEther(round.rewardAmount),
+            treasury_amount: round.oracleCalled ? ethers.formatEther(round.totalAmount - round.rewardAmount) : '0.0'
         };
     }
 
-    async findBlockByTimestamp(targetTimestamp) {
-        const currentBlock = await this.retryRequest(() => this.provider.getBlockNumber(), 'getBlockNumber');
-        let low = 1;
-        let high = currentBlock;
-        let closestBlock = high;
-
-        while (low <= high) {
-            const mid = Math.floor((low + high) / 2);
-            const block = await this.retryRequest(() => this.provider.getBlock(mid), `getBlock ${mid}`);
-            if (!block) {
-                high = mid - 1;
-                continue;
-            }
-            if (block.timestamp < targetTimestamp) {
-                low = mid + 1;
-            } else if (block.timestamp > targetTimestamp) {
-                high = mid - 1;
-            } else {
-                return mid;
-            }
-            closestBlock = mid;
+    async getEventsInRange(fromBlock, toBlock) {
+        // One eth_getLogs call for every contract event in the range, split by event name
+        const logs = await this.retryRequest(() => this.chainSource.getLogs(fromBlock, toBlock), 'getContractEvents');
+        const events = { betBullEvents: [], betBearEvents: [], claimEvents: [], roundEvents: [], configEvents: [] };
+        for (const log of logs) {
+            if (log.eventName === 'BetBull') events.betBullEvents.push(log);
+            else if (log.eventName === 'BetBear') events.betBearEvents.push(log);
+            else if (log.eventName === 'Claim') events.claimEvents.push(log);
+            else if (ROUND_LIFECYCLE_EVENTS[log.eventName]) events.roundEvents.push(log);
+            else if (CONTRACT_CONFIG_EVENTS.has(log.eventName)) events.configEvents.push(log);
         }
-        return closestBlock;
+        return events;
     }
 
-    async getEventsInRange(fromBlock, toBlock) {
-        const betBullFilter = this.contract.filters.BetBull();
-        const betBearFilter = this.contract.filters.BetBear();
-        const claimFilter = this.contract.filters.Claim();
-
-        const [betBullEvents, betBearEvents, claimEvents] = await Promise.all([
-            this.retryRequest(() => this.contract.queryFilter(betBullFilter, fromBlock, toBlock), 'getBetBullEvents'),
-            this.retryRequest(() => this.contract.queryFilter(betBearFilter, fromBlock, toBlock), 'getBetBearEvents'),
-            this.retryRequest(() => this.contract.queryFilter(claimFilter, fromBlock, toBlock), 'getClaimEvents')
-        ]);
-
-        return { betBullEvents, betBearEvents, claimEvents };
+    async getBlockTimestamp(blockNumber) {
+        return this.blockTimestamps.get(blockNumber);
     }
 
-    async processEpochData(epoch) {
+    // options.force ignores the failed_epoch skip list; options.dryRun returns the rows instead of writing them
+    async processEpochData(epoch, options = {}) {
+        // Tail mode and backfill can reach the same epoch at the same time
+        if (this.epochsInFlight.has(epoch)) {
+            console.log(`⏭️ Epoch ${epoch} is already being processed.`);
+            return false;
+        }
+        this.epochsInFlight.add(epoch);
         try {
             console.log(`🔄 Processing epoch ${epoch}...`);
-            if (await this.shouldSkipEpoch(epoch)) {
+            if (!options.force && await this.shouldSkipEpoch(epoch)) {
                 console.log(`⏭️ Skipping epoch ${epoch} due to too many failures.`);
                 return false;
             }
 
-            const roundData = await this.getRoundData(epoch);
+            // Issued together so both rounds() reads share one JSON-RPC batch
+            const [roundData, nextEpochStartTime] = await Promise.all([this.getRoundData(epoch), this.getNextEpochStartTime(epoch + 1)]);
             if (!roundData) {
                 console.log(`⏭️ Epoch ${epoch} is not finished or data is invalid.`);
                 return false;
             }
 
-            const nextEpochStartTime = await this.getNextEpochStartTime(epoch + 1);
             if (!nextEpochStartTime) {
                 console.log(`⏭️ Cannot get start time for epoch ${epoch + 1}, skipping.`);
                 return false;
             }
 
-            const fromBlock = await this.findBlockByTimestamp(roundData.raw_start_timestamp);
-            const toBlock = await this.findBlockByTimestamp(nextEpochStartTime);
-            if (!fromBlock || !toBlock) throw new Error('Could not determine block range.');
+            const blockRange = await this.blockIndex.getEpochBlockRange(epoch, roundData.raw_start_timestamp, nextEpochStartTime, { persist: !options.dryRun });
+            if (!blockRange) throw new Error('Could not determine block range.');
+            const { fromBlock, toBlock } = blockRange;
+
+            const headBlock = await this.retryRequest(() => this.chainSource.getBlockNumber(), 'getBlockNumber');
+            if (toBlock > headBlock - this.confirmationDepth) {
+                console.log(`⏳ Epoch ${epoch} is waiting for ${this.confirmationDepth} confirmations (to block ${toBlock}, head ${headBlock}).`);
+                return false;
+            }
 
             const events = await this.getEventsInRange(fromBlock, toBlock);
+            const allEvents = Object.values(events).flat();
+            await this.blockTimestamps.getMany(allEvents.map(event => event.blockNumber));
+
             const betData = [];
-            await this.processBetEvents(events.betBullEvents, 'UP', betData, roundData.result);
-            await this.processBetEvents(events.betBearEvents, 'DOWN', betData, roundData.result);
+            await this.processBetEvents(events.betBullEvents, 'UP', betData, roundData);
+            await this.processBetEvents(events.betBearEvents, 'DOWN', betData, roundData);
 
             const claimData = [];
-            await this.processClaimEvents(events.claimEvents, claimData, epoch);
+            await this.processClaimEvents(events.claimEvents, claimData, epoch, toBlock);
+
+            const contractEvents = { roundEvents: [], configEvents: [] };
+            await this.processRoundEvents(events.roundEvents, contractEvents.roundEvents);
+            await this.processConfigEvents(events.configEvents, contractEvents.configEvents, epoch);
+
+            if (options.dryRun) {
+                console.log(`🔎 Dry run for epoch ${epoch}: ${betData.length} bets, ${claimData.length} claims, nothing written.`);
+                return { epoch, fromBlock, toBlock, round: roundData, bets: betData, claims: claimData, ...contractEvents };
+            }
 
-            const success = await this.saveCompleteRoundData(roundData, betData, claimData);
+            // options.reset replaces the stored epoch in the save transaction, so an epoch that cannot be re-crawled keeps its data
+            const success = await this.saveCompleteRoundData(roundData, betData, claimData, contractEvents, options.reset === true);
             if (success) {
-                await this.cleanupRealbetData(epoch);
+                await this.cleanupRealbetData(epoch, roundData);
                 const suspiciousWallets = await this.claimDetector.checkSingleRoundMultiClaims(epoch, claimData);
                 if (suspiciousWallets.length > 0) {
                     this.stats.suspiciousWalletsDetected += suspiciousWallets.length;
@@ -253,71 +256,146 @@ class HistoricalCrawler {
                 console.log(`✅ Epoch ${epoch} processed successfully.`);
                 return true;
             }
-            await this.handleEpochFailure(epoch, 'Failed to save data');
+            if (!options.reset) await this.handleEpochFailure(epoch, 'Failed to save data');
             return false;
         } catch (error) {
             console.error(`❌ Error processing epoch ${epoch}:`, error.message);
-            await this.handleEpochFailure(epoch, error.message);
+            if (options.dryRun) throw error;
+            if (!options.reset) await this.handleEpochFailure(epoch, error.message);
             this.stats.errors++;
             return false;
+        } finally {
+            this.epochsInFlight.delete(epoch);
         }
     }
 
     async getNextEpochStartTime(nextEpoch) {
-        const round = await this.retryRequest(() => this.contract.rounds(nextEpoch), `getNextEpochStartTime for ${nextEpoch}`);
+        const round = await this.retryRequest(() => this.chainSource.getRound(nextEpoch), `getNextEpochStartTime for ${nextEpoch}`);
         return Number(round.startTimestamp) === 0 ? null : Number(round.startTimestamp);
     }
 
-    async processBetEvents(events, direction, betData, roundResult) {
+    async processBetEvents(events, direction, betData, roundData) {
         for (const event of events) {
-            const blockTimestamp = (await this.retryRequest(() => this.provider.getBlock(event.blockNumber), `getBlock ${event.blockNumber}`)).timestamp;
+            // The range's last block is shared with the next epoch; its bets are saved when that epoch is processed
+            if (Number(event.args.epoch) !== roundData.epoch) continue;
+            const blockTimestamp = await this.getBlockTimestamp(event.blockNumber);
+            const amount = ethers.formatEther(event.args.amount);
+            const result = this.getBetResult(direction, roundData.result);
             betData.push({
                 epoch: Number(event.args.epoch),
                 bet_ts: TimeService.formatUnixTimestamp(blockTimestamp),
                 wallet_address: event.args.sender.toLowerCase(),
                 bet_direction: direction,
-                amount: ethers.formatEther(event.args.amount),
-                result: roundResult ? (direction === roundResult ? 'WIN' : 'LOSS') : null,
-                tx_hash: event.transactionHash
+                amount,
+                result,
+                ...ClaimReconciler.calculateBetPayout(amount, result, roundData),
+                tx_hash: event.transactionHash,
+                block_number: event.blockNumber,
+                block_hash: event.blockHash
             });
         }
     }
 
-    async processClaimEvents(events, claimData, processingEpoch) {
+    // Epoch ranges are half-open like bets: a claim in the shared last block belongs to the next epoch,
+    // so it is stored once under the same epoch whichever epoch is crawled first
+    async processClaimEvents(events, claimData, processingEpoch, toBlock) {
         for (const event of events) {
-            const blockTimestamp = (await this.retryRequest(() => this.provider.getBlock(event.blockNumber), `getBlock ${event.blockNumber}`)).timestamp;
+            if (event.blockNumber >= toBlock) continue;
+            const blockTimestamp = await this.getBlockTimestamp(event.blockNumber);
             claimData.push({
                 epoch: processingEpoch,
                 claim_ts: TimeService.formatUnixTimestamp(blockTimestamp),
                 wallet_address: event.args.sender.toLowerCase(),
                 claim_amount: ethers.formatEther(event.args.amount),
                 bet_epoch: Number(event.args.epoch),
-                tx_hash: event.transactionHash
+                tx_hash: event.transactionHash,
+                block_number: event.blockNumber,
+                block_hash: event.blockHash
+            });
+        }
+    }
+
+    async processRoundEvents(events, roundEvents) {
+        for (const event of events) {
+            const blockTimestamp = await this.getBlockTimestamp(event.blockNumber);
+            const args = event.args;
+            const isRewards = event.eventName === 'RewardsCalculated';
+            roundEvents.push({
+                epoch: Number(args.epoch),
+                event_type: ROUND_LIFECYCLE_EVENTS[event.eventName],
+                oracle_round_id: args.roundId !== undefined ? args.roundId.toString() : null,
+                price: args.price !== undefined ? ethers.formatUnits(args.price, 8) : null,
+                reward_base_cal_amount: isRewards ? ethers.formatEther(args.rewardBaseCalAmount) : null,
+                reward_amount: isRewards ? ethers.formatEther(args.rewardAmount) : null,
+                treasury_amount: isRewards ? ethers.formatEther(args.treasuryAmount) : null,
+                event_ts: TimeService.formatUnixTimestamp(blockTimestamp),
+                tx_hash: event.transactionHash,
+                log_index: event.index,
+                block_number: event.blockNumber,
+                block_hash: event.blockHash
             });
         }
     }
 
-    async saveCompleteRoundData(roundData, betData, claimData) {
-        const queries = [];
+    async processConfigEvents(events, configEvents, processingEpoch) {
+        for (const event of events) {
+            const blockTimestamp = await this.getBlockTimestamp(event.blockNumber);
+            // Raw on-chain values: amounts stay in wei, treasuryFee in basis points
+            const params = {};
+            for (const [name, value] of Object.entries(event.args)) {
+                params[name] = typeof value === 'string' ? value.toLowerCase() : value.toString();
+            }
+            configEvents.push({
+                event_name: event.eventName,
+                epoch: params.epoch !== undefined ? Number(params.epoch) : processingEpoch,
+                params,
+                event_ts: TimeService.formatUnixTimestamp(blockTimestamp),
+                tx_hash: event.transactionHash,
+                log_index: event.index,
+                block_number: event.blockNumber,
+                block_hash: event.blockHash
+            });
+        }
+    }
+
+    async saveCompleteRoundData(roundData, betData, claimData, contractEvents = { roundEvents: [], configEvents: [] }, reset = false) {
+        const queries = reset ? this.resetEpochQueries(roundData.epoch) : [];
         queries.push({
-            sql: `INSERT INTO round (epoch, start_ts, lock_ts, close_ts, lock_price, close_price, result, total_amount, up_amount, down_amount, up_payout, down_payout) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) ON CONFLICT (epoch) DO NOTHING`,
-            params: [roundData.epoch, roundData.start_ts, roundData.lock_ts, roundData.close_ts, roundData.lock_price, roundData.close_price, roundData.result, roundData.total_amount, roundData.up_amount, roundData.down_amount, roundData.up_payout, roundData.down_payout]
+            sql: `INSERT INTO round (epoch, start_ts, lock_ts, close_ts, lock_price, close_price, result, oracle_called, total_amount, up_amount, down_amount, up_payout, down_payout, treasury_fee, reward_base_cal_amount, reward_amount, treasury_amount) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) ON CONFLICT (epoch) DO NOTHING`,
+            params: [roundData.epoch, roundData.start_ts, roundData.lock_ts, roundData.close_ts, roundData.lock_price, roundData.close_price, roundData.result, roundData.oracle_called, roundData.total_amount, roundData.up_amount, roundData.down_amount, roundData.up_payout, roundData.down_payout, roundData.treasury_fee, roundData.reward_base_cal_amount, roundData.reward_amount, roundData.treasury_amount]
         });
 
         betData.forEach(bet => {
             queries.push({
-                sql: `INSERT INTO hisbet (epoch, bet_ts, wallet_address, bet_direction, amount, result, tx_hash) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (tx_hash) DO NOTHING`,
-                params: [bet.epoch, bet.bet_ts, bet.wallet_address, bet.bet_direction, bet.amount, bet.result, bet.tx_hash]
+                sql: `INSERT INTO hisbet (epoch, bet_ts, wallet_address, bet_direction, amount, result, payout, pnl, claim_status, tx_hash, block_number, block_hash) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) ON CONFLICT (tx_hash) DO NOTHING`,
+                params: [bet.epoch, bet.bet_ts, bet.wallet_address, bet.bet_direction, bet.amount, bet.result, bet.payout, bet.pnl, bet.claim_status, bet.tx_hash, bet.block_number, bet.block_hash]
             });
         });
 
         for (const claim of claimData) {
             queries.push({
-                sql: `INSERT INTO claim (epoch, claim_ts, wallet_address, claim_amount, bet_epoch, tx_hash, block_number) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (tx_hash, bet_epoch, wallet_address) DO NOTHING`,
-                params: [claim.epoch.toString(), claim.claim_ts, claim.wallet_address, claim.claim_amount, claim.bet_epoch.toString(), claim.tx_hash, claim.block_number]
+                sql: `INSERT INTO claim (epoch, claim_ts, wallet_address, claim_amount, bet_epoch, tx_hash, block_number, block_hash) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (tx_hash, bet_epoch, wallet_address) DO NOTHING`,
+                params: [claim.epoch.toString(), claim.claim_ts, claim.wallet_address, claim.claim_amount, claim.bet_epoch.toString(), claim.tx_hash, claim.block_number, claim.block_hash]
+            });
+        }
+
+        for (const event of contractEvents.roundEvents) {
+            queries.push({
+                sql: `INSERT INTO round_lifecycle (epoch, event_type, oracle_round_id, price, reward_base_cal_amount, reward_amount, treasury_amount, event_ts, tx_hash, log_index, block_number, block_hash) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+                params: [event.epoch, event.event_type, event.oracle_round_id, event.price, event.reward_base_cal_amount, event.reward_amount, event.treasury_amount, event.event_ts, event.tx_hash, event.log_index, event.block_number, event.block_hash]
+            });
+        }
+
+        for (const event of contractEvents.configEvents) {
+            queries.push({
+                sql: `INSERT INTO contract_config_history (event_name, epoch, params, event_ts, tx_hash, log_index, block_number, block_hash) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+                params: [event.event_name, event.epoch, JSON.stringify(event.params), event.event_ts, event.tx_hash, event.log_index, event.block_number, event.block_hash]
             });
         }
 
+        queries.push(this.poolTimeline.rebuildQuery(roundData.epoch));
+        queries.push(ClaimReconciler.linkClaimsQuery(roundData.epoch));
+
         try {
             await this.connectionManager.executeTransaction(queries);
             console.log(`✅ Transaction for epoch ${roundData.epoch} committed successfully.`);
@@ -328,21 +406,39 @@ class HistoricalCrawler {
         }
     }
 
-    async cleanupRealbetData(epoch) {
-        await this.connectionManager.executeQuery('DELETE FROM realbet WHERE epoch = $1', [epoch]);
+    async cleanupRealbetData(epoch, roundData) {
+        // Diff the listener's rows against the final bets before they are gone
+        const isRecent = Date.now() / 1000 - roundData.raw_start_timestamp < this.coverageWindow;
+        await this.connectionManager.executeTransaction([
+            ListenerCoverage.recordCoverageQuery(epoch, isRecent),
+            { sql: 'DELETE FROM realbet WHERE epoch = $1', params: [epoch] }
+        ]);
         console.log(`🧹 Cleaned up realbet data for epoch ${epoch}.`);
     }
 
+    resetEpochQueries(epoch) {
+        // Detections no reviewer has touched are rebuilt by the next crawl; the rest keep their review state
+        const blockRangeFilter = 'block_number BETWEEN (SELECT from_block FROM epoch_block_range WHERE epoch = $1) AND (SELECT to_block FROM epoch_block_range WHERE epoch = $1)';
+        return [
+            { sql: `DELETE FROM round_lifecycle WHERE ${blockRangeFilter}`, params: [epoch] },
+            { sql: `DELETE FROM contract_config_history WHERE ${blockRangeFilter}`, params: [epoch] },
+            { sql: 'DELETE FROM hisbet WHERE epoch = $1', params: [epoch] },
+            { sql: 'DELETE FROM claim WHERE epoch = $1', params: [epoch] },
+            { sql: "DELETE FROM multi_round_claimer WHERE claim_epoch = $1 AND status = 'detected' AND reviewer IS NULL", params: [epoch] },
+            { sql: 'DELETE FROM round WHERE epoch = $1', params: [epoch] }
+        ];
+    }
+
     async handleEpochFailure(epoch, reason) {
         const attempts = (this.failedAttempts.get(epoch) || 0) + 1;
         this.failedAttempts.set(epoch, attempts);
-        if (attempts >= 3) {
+        if (attempts >= this.maxEpochFailures) {
             await this.recordFailedEpoch(epoch, reason);
-            console.log(`🚫 Epoch ${epoch} failed 3 times, recording and skipping.`);
+            console.log(`🚫 Epoch ${epoch} failed ${this.maxEpochFailures} times, recording and skipping.`);
             this.failedAttempts.delete(epoch);
         } else {
             await this.connectionManager.executeQuery('DELETE FROM round WHERE epoch = $1', [epoch]);
-            console.log(`🗑️ Deleted partial data for epoch ${epoch}, will retry (attempt ${attempts}/3).`);
+            console.log(`🗑️ Deleted partial data for epoch ${epoch}, will retry (attempt ${attempts}/${this.maxEpochFailures}).`);
         }
     }
 
@@ -352,31 +448,75 @@ class HistoricalCrawler {
 
     async shouldSkipEpoch(epoch) {
         const result = await this.connectionManager.executeQuery('SELECT failure_count FROM failed_epoch WHERE epoch = $1', [epoch]);
-        return result.rows.length > 0 && result.rows[0].failure_count >= 3;
+        return result.rows.length > 0 && result.rows[0].failure_count >= this.maxEpochFailures;
     }
 
     async processHistoryData() {
         if (this.isProcessingHistory) return;
         this.isProcessingHistory = true;
-        this.shouldStopHistory = false;
-
-        let checkEpoch = (await this.getCurrentEpoch()) - 2;
-        console.log(`📚 Starting history backfill from epoch ${checkEpoch}...`);
+        try {
+            const topEpoch = (await this.getCurrentEpoch()) - 2;
+            await this.backfillEngine.run(topEpoch);
+        } catch (error) {
+            console.error('❌ History backfill failed:', error.message);
+            this.stats.errors++;
+        } finally {
+            this.isProcessingHistory = false;
+        }
+    }
 
-        while (this.isProcessingHistory && !this.shouldStopHistory && checkEpoch > 0) {
-            if (!(await this.hasRoundData(checkEpoch))) {
-                await this.processEpochData(checkEpoch);
+    async tailClosedEpochs() {
+        if (this.isTailing) return;
+        this.isTailing = true;
+        try {
+            // When currentEpoch becomes N, executeRound has just ended epoch N - 2
+            const closedEpoch = (await this.getCurrentEpoch()) - 2;
+            if (this.lastTailedEpoch === null) this.lastTailedEpoch = closedEpoch - 1;
+
+            for (let epoch = this.lastTailedEpoch + 1; epoch <= closedEpoch; epoch++) {
+                const roundExists = await this.connectionManager.executeQuery('SELECT 1 FROM round WHERE epoch = $1', [epoch]);
+                if (roundExists.rows.length === 0) {
+                    console.log(`⚡ Tailing closed epoch ${epoch}...`);
+                    const success = await this.processEpochData(epoch);
+                    // Epochs given up on are left to the backfill engine and the failed_epoch tooling
+                    if (!success && !(await this.shouldSkipEpoch(epoch))) break;
+                }
+                this.lastTailedEpoch = epoch;
             }
-            checkEpoch--;
-            await new Promise(resolve => setTimeout(resolve, 2000));
+        } catch (error) {
+            console.error('❌ Tail mode iteration failed:', error.message);
+            this.stats.errors++;
+        } finally {
+            this.isTailing = false;
         }
-        this.isProcessingHistory = false;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            isProcessingHistory: this.isProcessingHistory,
+            tail: { enabled: this.tailEnabled, lastTailedEpoch: this.lastTailedEpoch },
+            blockIndex: this.blockIndex ? this.blockIndex.getStats() : null,
+            blockTimestamps: this.blockTimestamps ? this.blockTimestamps.getStats() : null,
+            backfill: this.backfillEngine ? this.backfillEngine.getStats() : null,
+            reorg: this.reorgVerifier ? this.reorgVerifier.getStats() : null,
+            audit: this.dataAuditor ? this.dataAuditor.getStats() : null,
+            rateLimiter: RateLimiter.getStats(),
+            chainSource: this.chainSource ? this.chainSource.mode : null
+        };
     }
 
     start() {
         console.log('🚀 Starting Historical Crawler periodic tasks...');
         this.processHistoryData(); // Start immediately
-        setInterval(() => this.processHistoryData(), 30 * 60 * 1000); // Run every 30 minutes
+        setInterval(() => this.processHistoryData(), this.backfillInterval); // Resumes from the stored cursor
+        this.reorgVerifier.start();
+        this.dataAuditor.start();
+        if (this.tailEnabled) {
+            console.log(`⚡ Tail mode enabled, polling currentEpoch every ${this.tailInterval}ms`);
+            this.tailClosedEpochs();
+            setInterval(() => this.tailClosedEpochs(), this.tailInterval);
+        }
     }
 }
 
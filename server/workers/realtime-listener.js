@@ -1,46 +1,42 @@
 const { ethers } = require('ethers');
-const WebSocket = require('ws');
 const http = require('http');
 const ConnectionManager = require('../db/ConnectionManager');
 const TimeService = require('../services/TimeService');
+const RateLimiter = require('../services/RateLimiter');
+const { createChainSource } = require('../chain');
+const WebSocketHub = require('../services/WebSocketHub');
+const RoundPoolTracker = require('../services/RoundPoolTracker');
+const BlockTimestampCache = require('../services/BlockTimestampCache');
+const PoolTimeline = require('../services/PoolTimeline');
+const SuspiciousWalletMonitor = require('../services/SuspiciousWalletMonitor');
+const AlertDispatcher = require('../services/AlertDispatcher');
+const V6SingleRoundClaimDetector = require('../services/V6SingleRoundClaimDetector');
 
-class SuspiciousWalletMonitor {
-    constructor() {
-        this.walletBetCounts = new Map(); // Stores total bet count (number)
-        this.recentBets = new Map();      // Stores recent bet timestamps (array)
-        this.highFrequencyWindow = 60000;
-        this.maxBetsInWindow = 10;
-    }
-
-    checkSuspiciousWallet(wallet, amount, epoch) {
-        const now = Date.now();
-        let flags = [];
-
-        // Correctly handle total bet count
-        const currentCount = (this.walletBetCounts.get(wallet) || 0) + 1;
-        this.walletBetCounts.set(wallet, currentCount);
-
-        // Correctly handle recent bets for high-frequency check
-        const walletRecentBets = this.recentBets.get(wallet) || [];
-        const validRecentBets = walletRecentBets.filter(time => now - time < this.highFrequencyWindow);
-        validRecentBets.push(now);
-        this.recentBets.set(wallet, validRecentBets);
-
-        if (validRecentBets.length > this.maxBetsInWindow) {
-            flags.push(`High frequency betting: ${validRecentBets.length} bets in the last minute.`);
-        }
-
-        return { isSuspicious: flags.length > 0, flags };
-    }
-}
+const MAX_ROUND_STARTS = 20; // Epoch boundaries kept for claim attribution, well beyond a backfill's reach
 
 class RealtimeListener {
     constructor() {
         this.connectionManager = ConnectionManager;
-        this.suspiciousMonitor = new SuspiciousWalletMonitor();
-        this.processedBets = new Map();
-        this.wss = null;
-        this.connectedClients = new Set();
+        this.suspiciousMonitor = new SuspiciousWalletMonitor(ConnectionManager);
+        this.claimDetector = new V6SingleRoundClaimDetector(ConnectionManager);
+        this.roundStarts = []; // { epoch, blockNumber } of recent StartRound logs in block order; claims belong to the last one before them
+        this.processedLogs = new Map(); // `${txHash}_${logIndex}` of recent bets and claims -> receive time; database keys are the real guard
+        this.maxProcessedLogs = parseInt(process.env.LISTENER_DEDUP_SIZE || '10000', 10);
+        this.blockTimestamps = null;
+        this.chainSource = null;
+        this.pool = null; // RoundPoolTracker for the betting round shown in the /ws snapshot
+        this.reconcileInterval = parseInt(process.env.POOL_RECONCILE_INTERVAL_MS || '15000', 10);
+        this.countdownInterval = parseInt(process.env.POOL_COUNTDOWN_INTERVAL_MS || '5000', 10);
+        this.poolTimers = [];
+        this.poolTimeline = new PoolTimeline(ConnectionManager);
+        this.snapshotTimers = [];
+        this.eventHandlers = {};
+        this.lastLog = null; // { blockNumber, index } of the newest processed log
+        this.recovery = Promise.resolve(); // Serializes reconnect recoveries
+        this.backfillChunkBlocks = parseInt(process.env.LISTENER_BACKFILL_CHUNK_BLOCKS || '1000', 10);
+        this.maxBackfillBlocks = parseInt(process.env.LISTENER_BACKFILL_MAX_BLOCKS || '20000', 10);
+        this.stats = { gapsRecovered: 0, eventsRecovered: 0, duplicateInserts: 0 };
+        this.hub = null;
         this.server = null;
     }
 
@@ -51,11 +47,15 @@ class RealtimeListener {
     async initialize() {
         try {
             console.log('🔄 Initializing Realtime Listener...');
-            await this.connectionManager.initialize();
-            this.provider = this.connectionManager.getWebSocketProvider();
-            this.contract = this.connectionManager.getWebSocketContract();
+            this.chainSource = await createChainSource(this.connectionManager, 'ws');
+            this.pool = new RoundPoolTracker(this.chainSource);
+            this.blockTimestamps = new BlockTimestampCache(this.connectionManager, this.chainSource,
+                (operation, name) => RateLimiter.execute(operation, { name, method: 'eth_getBlockByNumber' }), { maxEntries: 1000 });
+            await this.loadRoundState();
+            await this.loadLastBlock();
             this.initializeWebSocketServer();
             this.setupBlockchainEvents();
+            this.startPoolTimers();
             console.log('🚀 Realtime Listener initialized successfully');
         } catch (error) {
             console.error('❌ Realtime Listener initialization failed:', error);
@@ -68,91 +68,347 @@ class RealtimeListener {
             console.error('❌ HTTP server instance not provided to RealtimeListener.');
             return;
         }
-        this.wss = new WebSocket.Server({ server: this.server, path: '/ws' });
-
-        this.wss.on('connection', (ws) => {
-            console.log('🔗 New frontend client connected.');
-            this.connectedClients.add(ws);
-            ws.on('close', () => {
-                console.log('🔌 Frontend client disconnected.');
-                this.connectedClients.delete(ws);
-            });
-            ws.on('error', (error) => {
-                console.error('❌ WebSocket client error:', error);
-                this.connectedClients.delete(ws);
-            });
-        });
+        this.hub = new WebSocketHub(this.server, { path: '/ws', getSnapshot: () => this.getSnapshot() });
+    }
 
-        
+    // Sends to the channel's subscribers whose filters match meta ({ wallet, amount, direction })
+    broadcastToClients(channel, type, payload, meta = {}) {
+        if (this.hub) this.hub.publish(channel, type, payload, meta);
     }
 
-    broadcastToClients(message) {
-        if (this.connectedClients.size === 0) return;
-        const messageStr = JSON.stringify(message);
-        this.connectedClients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(messageStr);
+    // Restores the current round and the bets already received for it, so a restart does not empty the snapshot
+    async loadRoundState() {
+        try {
+            const epoch = await RateLimiter.execute(() => this.chainSource.getCurrentEpoch(), { name: 'currentEpoch', method: 'eth_call' });
+            // Its StartRound is older than anything this process receives or backfills
+            this.recordRoundStart(Number(epoch), 0);
+            await this.pool.startRound(epoch);
+            const result = await this.connectionManager.executeQuery(
+                `SELECT epoch, to_char(bet_ts, 'YYYY-MM-DD HH24:MI:SS') AS bet_ts, wallet_address, bet_direction, amount, tx_hash, log_index, block_number FROM realbet WHERE epoch = $1 ORDER BY realbet.bet_ts`,
+                [epoch]
+            );
+            for (const row of result.rows) {
+                const betData = { ...row, epoch: String(row.epoch) };
+                this.pool.addBet(`${betData.epoch}_${betData.wallet_address}`, betData.bet_direction, ethers.parseEther(String(betData.amount)), betData);
             }
-        });
+            // Bets placed while the listener was down only show up in the chain totals
+            await this.pool.reconcile();
+            this.schedulePoolSnapshots();
+            console.log(`📸 Loaded round state for epoch ${epoch} with ${this.pool.bets.size} bets.`);
+        } catch (error) {
+            console.error('❌ Failed to load current round state:', error.message);
+        }
     }
 
-    setupBlockchainEvents() {
-        this.contract.on('BetBull', (sender, epoch, amount, event) => {
-            this.handleBetEvent(sender, epoch, amount, event, 'UP');
-        });
+    // A reconnect before the first event still has a starting point for its backfill
+    async loadLastBlock() {
+        try {
+            const blockNumber = await RateLimiter.execute(() => this.chainSource.getBlockNumber(), { name: 'getBlockNumber', method: 'eth_blockNumber' });
+            this.lastLog = { blockNumber, index: -1 };
+        } catch (error) {
+            console.error('❌ Failed to load the starting block:', error.message);
+        }
+    }
 
-        this.contract.on('BetBear', (sender, epoch, amount, event) => {
-            this.handleBetEvent(sender, epoch, amount, event, 'DOWN');
-        });
+    async getLockTime(epoch) {
+        // WebSocket calls bypass the pooled HTTP provider, so charge the shared limiter here
+        const roundData = await RateLimiter.execute(() => this.chainSource.getRound(epoch), { name: `rounds(${epoch})`, method: 'eth_call' });
+        return Number(roundData.lockTimestamp) * 1000; // Convert to milliseconds
+    }
 
-        this.contract.on('StartRound', (epoch) => {
-            console.log(`🚀 New round started: ${epoch}`);
-            this.broadcastToClients({ type: 'round_start', epoch: epoch.toString() });
-        });
+    getSnapshot() {
+        const pool = this.pool ? this.pool.getState() : null;
+        return {
+            epoch: pool ? pool.epoch : null,
+            lockTime: pool ? pool.lockTimestamp * 1000 : null,
+            pool,
+            bets: this.pool ? this.pool.getBets() : []
+        };
+    }
 
-        this.contract.on('LockRound', async (epoch) => {
-            console.log(`🔒 Round locked: ${epoch}`);
-            let lockTime = Date.now() + 30000; // Default to 30 seconds if contract call fails
+    broadcastPoolUpdate() {
+        const pool = this.pool.getState();
+        if (pool) this.broadcastToClients('rounds', 'pool_update', pool);
+    }
+
+    // Reconciliation picks up bets the WebSocket missed; the countdown ticks stop once the round is past its lock
+    startPoolTimers() {
+        this.poolTimers.push(setInterval(async () => {
             try {
-                const roundData = await this.contract.rounds(epoch);
-                // Assuming lockTimestamp is the second element in the returned tuple/struct
-                // You might need to adjust the index based on your actual ABI structure
-                lockTime = roundData.lockTimestamp.toNumber() * 1000; // Convert to milliseconds
+                if (await this.pool.reconcile()) this.broadcastPoolUpdate();
             } catch (error) {
-                console.error('❌ Error getting lock time from contract:', error);
+                console.error('❌ Failed to reconcile round pool:', error.message);
             }
-            this.broadcastToClients({ type: 'round_lock', epoch: epoch.toString(), lockTime: lockTime });
+        }, this.reconcileInterval));
+        this.poolTimers.push(setInterval(() => {
+            const countdown = this.pool.getCountdown();
+            if (!countdown || countdown.secondsToLock === 0) return;
+            this.broadcastToClients('rounds', 'lock_countdown', { epoch: String(this.pool.epoch), ...countdown });
+        }, this.countdownInterval));
+    }
+
+    // Records the pool at each timeline offset still ahead of this round's lock
+    schedulePoolSnapshots() {
+        this.snapshotTimers.forEach(clearTimeout);
+        this.snapshotTimers = [];
+        const { epoch, lockTimestamp, startTimestamp } = this.pool;
+        for (const offset of this.poolTimeline.offsets) {
+            const delay = (lockTimestamp + offset) * 1000 - Date.now();
+            if (delay < 0 || lockTimestamp + offset < startTimestamp) continue;
+            this.snapshotTimers.push(setTimeout(async () => {
+                if (this.pool.epoch !== epoch) return;
+                try {
+                    await this.poolTimeline.recordLiveSnapshot(this.pool.getState(), offset);
+                } catch (error) {
+                    console.error(`❌ Failed to record pool snapshot for epoch ${epoch} at ${offset}s:`, error.message);
+                }
+            }, delay));
+        }
+    }
+
+    setupBlockchainEvents() {
+        this.eventHandlers = {
+            BetBull: (log) => this.handleBetEvent(log.args.sender, log.args.epoch, log.args.amount, log, 'UP'),
+            BetBear: (log) => this.handleBetEvent(log.args.sender, log.args.epoch, log.args.amount, log, 'DOWN'),
+            StartRound: (log) => this.handleStartRound(log),
+            LockRound: (log) => this.handleLockRound(log),
+            Claim: (log) => this.handleClaimEvent(log)
+        };
+        for (const [eventName, handler] of Object.entries(this.eventHandlers)) {
+            this.chainSource.on(eventName, (log) => this.handleLog(log, handler));
+        }
+        this.connectionManager.on('wsReconnected', () => {
+            this.recovery = this.recovery.then(() => this.recoverFromReconnect());
         });
     }
 
-    async handleBetEvent(sender, epoch, amount, event, direction) {
+    // Remembers the newest log seen so a reconnect knows where the gap starts
+    handleLog(log, handler) {
+        if (!log.removed && (!this.lastLog || log.blockNumber > this.lastLog.blockNumber ||
+            (log.blockNumber === this.lastLog.blockNumber && log.index > this.lastLog.index))) {
+            this.lastLog = { blockNumber: log.blockNumber, index: log.index };
+        }
+        return handler(log);
+    }
+
+    // Events emitted while the WebSocket was down never reach the subscriptions, so they are fetched with getLogs
+    async recoverFromReconnect() {
+        try {
+            await this.chainSource.rebind(this.connectionManager.getWebSocketContract(), this.connectionManager.getWebSocketProvider());
+            console.log('🔁 Rebound blockchain event subscriptions after WebSocket reconnect.');
+        } catch (error) {
+            console.error('❌ Failed to rebind blockchain event subscriptions:', error.message);
+            return;
+        }
+        const since = this.lastLog;
+        if (!since) return;
+        try {
+            const head = await RateLimiter.execute(() => this.chainSource.getBlockNumber(), { name: 'getBlockNumber', method: 'eth_blockNumber' });
+            // Older gaps are left to the historical crawler; only the recent part matters for live clients
+            const fromBlock = Math.max(since.blockNumber, head - this.maxBackfillBlocks);
+            let recovered = 0;
+            for (let start = fromBlock; start <= head; start += this.backfillChunkBlocks) {
+                const end = Math.min(start + this.backfillChunkBlocks - 1, head);
+                const logs = await RateLimiter.execute(() => this.chainSource.getLogs(start, end), { name: `getLogs ${start}-${end}`, method: 'eth_getLogs' });
+                for (const log of logs) {
+                    const handler = this.eventHandlers[log.eventName];
+                    const alreadySeen = log.blockNumber < since.blockNumber || (log.blockNumber === since.blockNumber && log.index <= since.index);
+                    if (!handler || alreadySeen) continue;
+                    await this.handleLog(log, handler);
+                    recovered++;
+                }
+            }
+            this.stats.gapsRecovered++;
+            this.stats.eventsRecovered += recovered;
+            console.log(`✅ Backfilled ${recovered} events from blocks ${fromBlock}-${head} after WebSocket reconnect.`);
+        } catch (error) {
+            console.error('❌ Failed to backfill events after WebSocket reconnect:', error.message);
+        }
+    }
+
+    // Epoch boundaries are kept for every StartRound, replayed ones included, so claims replayed after a newer
+    // live StartRound still get the epoch of their own block
+    recordRoundStart(epoch, blockNumber) {
+        this.roundStarts = this.roundStarts.filter(start => start.epoch !== epoch);
+        const index = this.roundStarts.findIndex(start => start.blockNumber > blockNumber);
+        this.roundStarts.splice(index === -1 ? this.roundStarts.length : index, 0, { epoch, blockNumber });
+        if (this.roundStarts.length > MAX_ROUND_STARTS) this.roundStarts.shift();
+    }
+
+    // Same split as the crawler's block ranges: a claim in or after an epoch's StartRound block belongs to that epoch
+    getClaimEpoch(blockNumber) {
+        for (let i = this.roundStarts.length - 1; i >= 0; i--) {
+            if (this.roundStarts[i].blockNumber <= blockNumber) return this.roundStarts[i].epoch;
+        }
+        return null;
+    }
+
+    async handleStartRound({ args: { epoch }, blockNumber, removed }) {
+        if (removed) {
+            this.roundStarts = this.roundStarts.filter(start => !(start.epoch === Number(epoch) && start.blockNumber === blockNumber));
+            return;
+        }
+        // Recorded before the awaits below so claims in the following blocks already count toward the new epoch
+        this.recordRoundStart(Number(epoch), blockNumber);
+        // A backfill can replay the StartRound of the round already being tracked
+        if (this.pool.epoch !== null && Number(epoch) <= this.pool.epoch) return;
+        console.log(`🚀 New round started: ${epoch}`);
+        let lockTime = null;
+        try {
+            await this.pool.startRound(epoch);
+            lockTime = this.pool.lockTimestamp * 1000;
+            this.schedulePoolSnapshots();
+        } catch (error) {
+            console.error('❌ Error getting round state from contract:', error);
+        }
+        this.broadcastToClients('rounds', 'round_start', { epoch: epoch.toString(), lockTime, pool: this.pool.getState() });
+    }
+
+    async handleLockRound({ args: { epoch } }) {
+        console.log(`🔒 Round locked: ${epoch}`);
+        let lockTime = Date.now() + 30000; // Default to 30 seconds if contract call fails
+        try {
+            lockTime = await this.getLockTime(epoch);
+        } catch (error) {
+            console.error('❌ Error getting lock time from contract:', error);
+        }
+        this.broadcastToClients('rounds', 'round_lock', { epoch: epoch.toString(), lockTime });
+    }
+
+    // Only stops this process from broadcasting the same log twice; evicts the oldest keys beyond maxProcessedLogs
+    markProcessed(logKey) {
+        if (this.processedLogs.has(logKey)) return false;
+        this.processedLogs.set(logKey, Date.now());
+        if (this.processedLogs.size > this.maxProcessedLogs) this.processedLogs.delete(this.processedLogs.keys().next().value);
+        return true;
+    }
+
+    async handleBetEvent(sender, epoch, amount, log, direction) {
         const betKey = `${epoch.toString()}_${sender.toLowerCase()}`;
-        if (this.processedBets.has(betKey)) {
+        const logKey = `${log.transactionHash}_${log.index}`;
+        if (log.removed) {
+            await this.handleRemovedBet(betKey, logKey, log, sender, epoch, direction);
+            return;
+        }
+        if (!this.markProcessed(logKey)) {
             return; // Skip duplicate
         }
-        this.processedBets.set(betKey, Date.now());
 
+        // bet_ts is when the listener received the bet, block_ts when it was mined; received_ms keeps the receive time
+        // to the millisecond for the coverage latency
+        const receivedMs = Date.now();
         const betData = {
             epoch: epoch.toString(),
             bet_ts: TimeService.getCurrentTaipeiTime(),
             wallet_address: sender.toLowerCase(),
             bet_direction: direction,
-            amount: ethers.formatEther(amount)
+            amount: ethers.formatEther(amount),
+            tx_hash: log.transactionHash,
+            log_index: log.index,
+            block_number: log.blockNumber
         };
 
-        const suspiciousCheck = this.suspiciousMonitor.checkSuspiciousWallet(sender, betData.amount, betData.epoch);
-        this.broadcastToClients({ channel: 'new_bet_data', data: { ...betData, suspicious: suspiciousCheck } });
+        this.broadcastToClients('bets', 'bet', betData, { wallet: betData.wallet_address, amount: betData.amount, direction });
+        const isCurrentRound = Number(epoch) === this.pool.epoch;
+        if (isCurrentRound && this.pool.addBet(betKey, direction, amount, betData)) this.broadcastPoolUpdate();
+
+        let blockTimestamp = null;
+        try {
+            blockTimestamp = await this.blockTimestamps.get(log.blockNumber);
+        } catch (error) {
+            console.error(`❌ Failed to get timestamp of block ${log.blockNumber}:`, error.message);
+        }
+        const blockTs = blockTimestamp ? TimeService.formatUnixTimestamp(blockTimestamp) : null;
+        await this.checkAlerts(betData, { pool: isCurrentRound ? this.pool.getState() : null, blockTimestamp });
 
         try {
-            await this.connectionManager.executeQuery(
-                'INSERT INTO realbet (epoch, bet_ts, wallet_address, bet_direction, amount) VALUES ($1, $2, $3, $4, $5)',
-                [betData.epoch, betData.bet_ts, betData.wallet_address, betData.bet_direction, betData.amount]
+            // Restarts, backfills and other listener replicas can deliver the same log again
+            const result = await this.connectionManager.executeQuery(
+                `INSERT INTO realbet (epoch, bet_ts, received_ms, wallet_address, bet_direction, amount, tx_hash, log_index, block_number, block_ts)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) ON CONFLICT DO NOTHING`,
+                [betData.epoch, betData.bet_ts, receivedMs, betData.wallet_address, betData.bet_direction, betData.amount, betData.tx_hash, betData.log_index, betData.block_number, blockTs]
             );
+            if (result.rowCount === 0) this.stats.duplicateInserts++;
         } catch (error) {
             console.error('❌ Failed to save real-time bet to database:', error);
         }
     }
 
+    async checkAlerts(betData, context) {
+        const alerts = this.suspiciousMonitor.evaluate(betData, context);
+        for (const alert of alerts) {
+            console.warn(`🚨 [${alert.severity}] ${alert.rule_id} alert for epoch ${alert.epoch}: ${alert.wallet_address || alert.evidence.wallets.length + ' wallets'}`);
+            this.broadcastToClients('alerts', 'alert', alert, { wallet: alert.wallet_address || undefined, amount: betData.amount, direction: betData.bet_direction });
+        }
+        try {
+            // Only the replica that saved an alert pushes it to the webhooks
+            const saved = await this.suspiciousMonitor.saveAlerts(alerts);
+            saved.forEach(alert => AlertDispatcher.dispatch('wallet_alert', alert.dedup_key, alert.severity, alert));
+        } catch (error) {
+            console.error('❌ Failed to save wallet alerts:', error.message);
+        }
+    }
+
+    async handleClaimEvent(log) {
+        const claim = {
+            claim_epoch: this.getClaimEpoch(log.blockNumber),
+            bet_epoch: Number(log.args.epoch),
+            wallet_address: log.args.sender.toLowerCase(),
+            claim_amount: ethers.formatEther(log.args.amount),
+            tx_hash: log.transactionHash,
+            log_index: log.index,
+            block_number: log.blockNumber
+        };
+        if (log.removed) {
+            this.processedLogs.delete(`${log.transactionHash}_${log.index}`);
+            if (claim.claim_epoch !== null) this.claimDetector.untrackClaim(claim.claim_epoch, claim.wallet_address, claim.bet_epoch);
+            this.broadcastToClients('claims', 'claim_removed', claim, { wallet: claim.wallet_address });
+            return;
+        }
+        if (!this.markProcessed(`${log.transactionHash}_${log.index}`)) return;
+
+        this.broadcastToClients('claims', 'claim', claim, { wallet: claim.wallet_address, amount: claim.claim_amount });
+        if (claim.claim_epoch === null) return;
+
+        const detection = this.claimDetector.trackClaim(claim.claim_epoch, claim);
+        if (!detection) return;
+        // The crawler's later check of the epoch upserts the same row
+        await this.claimDetector.recordSuspiciousWallets([detection]);
+        this.broadcastToClients('claims', 'multi_round_claim', {
+            claim_epoch: String(detection.epoch),
+            wallet_address: detection.wallet_address,
+            rounds_claimed: detection.claim_count,
+            total_amount: detection.total_amount,
+            bet_epochs: detection.betEpochs
+        }, { wallet: detection.wallet_address });
+    }
+
+    async handleRemovedBet(betKey, logKey, log, sender, epoch, direction) {
+        // The bet's block was reorged out; the crawler only finalizes epochs after the confirmation depth
+        console.warn(`⚠️ Bet ${betKey} was removed by a chain reorganization.`);
+        this.processedLogs.delete(logKey);
+        this.broadcastToClients('bets', 'bet_removed', { epoch: epoch.toString(), wallet_address: sender.toLowerCase(), bet_direction: direction }, { wallet: sender.toLowerCase(), direction });
+        if (this.pool.removeBet(betKey)) this.broadcastPoolUpdate();
+        try {
+            await this.connectionManager.executeQuery('DELETE FROM realbet WHERE tx_hash = $1 AND log_index = $2', [log.transactionHash, log.index]);
+        } catch (error) {
+            console.error('❌ Failed to remove reorged real-time bet from database:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            chainSource: this.chainSource ? this.chainSource.mode : null,
+            trackedLogs: this.processedLogs.size,
+            blockTimestamps: this.blockTimestamps ? this.blockTimestamps.getStats() : null,
+            alerts: this.suspiciousMonitor.getStats(),
+            lastBlock: this.lastLog ? this.lastLog.blockNumber : null,
+            ...this.stats,
+            pool: this.pool ? this.pool.getStats() : null,
+            websocket: this.hub ? this.hub.getStats() : null
+        };
+    }
+
     start() {
         this.initialize();
     }
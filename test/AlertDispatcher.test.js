@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const ConnectionManager = require('../server/db/ConnectionManager');
+const AlertDispatcher = require('../server/services/AlertDispatcher').constructor;
+
+// Local webhook receiver: each path answers through `handlers`, unknown paths answer 200
+const requests = [];
+const handlers = {};
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const request = { path: req.url, headers: req.headers, body };
+        requests.push(request);
+        const handler = handlers[req.url];
+        const status = handler ? handler(request, requests.filter(r => r.path === req.url).length) : 200;
+        if (status === null) return; // Never answers
+        res.writeHead(status);
+        res.end();
+    });
+});
+let baseUrl;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+test.beforeEach((t) => {
+    requests.length = 0;
+    for (const path of Object.keys(handlers)) delete handlers[path];
+    t.mock.method(ConnectionManager, 'executeQuery', async () => ({ rows: [] }));
+});
+
+function createDispatcher(destinations, env = {}) {
+    Object.assign(process.env, {
+        WEBHOOK_DESTINATIONS: JSON.stringify(destinations),
+        WEBHOOK_MAX_ATTEMPTS: '3',
+        WEBHOOK_BACKOFF_BASE_MS: '40',
+        WEBHOOK_BACKOFF_MAX_MS: '200',
+        WEBHOOK_TIMEOUT_MS: '200',
+        ...env
+    });
+    return new AlertDispatcher();
+}
+
+// Resolves once every delivery has either succeeded or been dead-lettered
+async function settle(dispatcher) {
+    const deadline = Date.now() + 5000;
+    while (dispatcher.stats.delivered + dispatcher.stats.deadLettered < dispatcher.stats.dispatched || dispatcher.pending.size > 0) {
+        if (Date.now() > deadline) throw new Error('Deliveries did not settle');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+const queries = (table) => ConnectionManager.executeQuery.mock.calls
+    .filter(call => call.arguments[0].includes(`INSERT INTO ${table}`))
+    .map(call => call.arguments[1]);
+
+const walletAlert = (id, severity, wallet = '0xaaa', ruleId = 'high_win_rate') => ['wallet_alert', id, severity, { rule_id: ruleId, wallet_address: wallet }];
+
+test('signs the body with HMAC-SHA256 over the timestamp and body', async () => {
+    const dispatcher = createDispatcher([{ name: 'signed', url: `${baseUrl}/signed`, secret: 'top-secret' }]);
+    dispatcher.dispatch(...walletAlert('alert-1', 'HIGH'));
+    await settle(dispatcher);
+
+    assert.strictEqual(requests.length, 1);
+    const { headers, body } = requests[0];
+    const expected = crypto.createHmac('sha256', 'top-secret').update(`${headers['x-alert-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-alert-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers['x-alert-id'], 'alert-1');
+    assert.deepStrictEqual(JSON.parse(body).data, { rule_id: 'high_win_rate', wallet_address: '0xaaa' });
+    assert.strictEqual(dispatcher.stats.delivered, 1);
+    assert.strictEqual(queries('webhook_delivery')[0][7], true);
+});
+
+test('sends each alert only to destinations whose type, severity, rule and wallet filters match', async () => {
+    const dispatcher = createDispatcher([
+        { name: 'claims', url: `${baseUrl}/claims`, types: ['multi_round_claim'] },
+        { name: 'high', url: `${baseUrl}/high`, minSeverity: 'HIGH' },
+        { name: 'rule', url: `${baseUrl}/rule`, rules: ['big_bet'] },
+        { name: 'wallet', url: `${baseUrl}/wallet`, wallets: ['0xBBB'] }
+    ]);
+    dispatcher.dispatch(...walletAlert('low', 'LOW'));
+    dispatcher.dispatch(...walletAlert('high', 'HIGH', '0xbbb', 'big_bet'));
+    dispatcher.dispatch('multi_round_claim', 'claim', 'MEDIUM', { wallet_address: '0xccc' });
+    await settle(dispatcher);
+
+    const received = (path) => requests.filter(r => r.path === path).map(r => r.headers['x-alert-id']).sort();
+    assert.deepStrictEqual(received('/claims'), ['claim']);
+    assert.deepStrictEqual(received('/high'), ['high']);
+    assert.deepStrictEqual(received('/rule'), ['claim', 'high']); // Alerts without a rule are not filtered by rule
+    assert.deepStrictEqual(received('/wallet'), ['high']);
+});
+
+test('retries 5xx answers with backoff until one succeeds', async () => {
+    const dispatcher = createDispatcher([{ name: 'flaky', url: `${baseUrl}/flaky` }]);
+    const sentAt = [];
+    handlers['/flaky'] = (request, count) => {
+        sentAt.push(Date.now());
+        return count <= 2 ? 503 : 200;
+    };
+    dispatcher.dispatch(...walletAlert('alert-2', 'HIGH'));
+    await settle(dispatcher);
+
+    assert.deepStrictEqual(requests.map(r => r.headers['x-alert-attempt']), ['1', '2', '3']);
+    // Attempt n waits between half and all of base * 2^(n-1)
+    assert.ok(sentAt[1] - sentAt[0] >= 20 - 5, `first retry after ${sentAt[1] - sentAt[0]}ms`);
+    assert.ok(sentAt[2] - sentAt[1] >= 40 - 5, `second retry after ${sentAt[2] - sentAt[1]}ms`);
+    assert.strictEqual(dispatcher.stats.delivered, 1);
+    assert.strictEqual(dispatcher.stats.failedAttempts, 2);
+    assert.deepStrictEqual(queries('webhook_delivery').map(params => [params[3], params[4], params[7]]), [[1, 503, false], [2, 503, false], [3, 200, true]]);
+    assert.strictEqual(queries('webhook_dead_letter').length, 0);
+});
+
+test('keeps backoff delays within half and all of the capped exponential ceiling', () => {
+    const dispatcher = createDispatcher([], { WEBHOOK_BACKOFF_BASE_MS: '1000', WEBHOOK_BACKOFF_MAX_MS: '60000' });
+    for (let attempt = 1; attempt <= 10; attempt++) {
+        const ceiling = Math.min(60000, 1000 * 2 ** (attempt - 1));
+        for (let i = 0; i < 50; i++) {
+            const delay = dispatcher.backoffDelay(attempt);
+            assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+        }
+    }
+});
+
+test('dead-letters an alert whose receiver times out on every attempt', async () => {
+    handlers['/slow'] = () => null;
+    const dispatcher = createDispatcher([{ name: 'slow', url: `${baseUrl}/slow` }], { WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_TIMEOUT_MS: '50' });
+    dispatcher.dispatch(...walletAlert('alert-3', 'HIGH'));
+    await settle(dispatcher);
+
+    assert.strictEqual(requests.length, 2);
+    const attempts = queries('webhook_delivery');
+    assert.deepStrictEqual(attempts.map(params => [params[3], params[4], params[7]]), [[1, null, false], [2, null, false]]);
+    const [deadLetter] = queries('webhook_dead_letter');
+    assert.strictEqual(deadLetter[0], 'alert-3');
+    assert.strictEqual(deadLetter[2], 'slow');
+    assert.strictEqual(JSON.parse(deadLetter[3]).id, 'alert-3');
+    assert.strictEqual(deadLetter[4], 2);
+    assert.match(deadLetter[5], /timeout|aborted/i);
+});
+
+test('dead-letters client errors without retrying them', async () => {
+    handlers['/gone'] = () => 410;
+    const dispatcher = createDispatcher([{ name: 'gone', url: `${baseUrl}/gone` }]);
+    dispatcher.dispatch(...walletAlert('alert-4', 'HIGH'));
+    await settle(dispatcher);
+
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(queries('webhook_dead_letter').map(params => [params[4], params[5]]), [[1, 'HTTP 410']]);
+});
+
+test('skips invalid destinations and keeps delivering to the valid ones', async () => {
+    const dispatcher = createDispatcher([
+        { name: 'no-url' },
+        { name: 'bad-url', url: 'not a url' },
+        { name: 'bad-severity', url: `${baseUrl}/bad`, minSeverity: 'CRITICAL' },
+        { name: 'bad-wallets', url: `${baseUrl}/bad`, wallets: '0xaaa' },
+        { name: 'valid', url: `${baseUrl}/valid` }
+    ]);
+    assert.deepStrictEqual(dispatcher.destinations.map(destination => destination.name), ['valid']);
+    dispatcher.dispatch(...walletAlert('alert-5', 'LOW'));
+    await settle(dispatcher);
+    assert.deepStrictEqual(requests.map(r => r.path), ['/valid']);
+
+    assert.deepStrictEqual(AlertDispatcher.parseDestinations('{not json'), []);
+    assert.deepStrictEqual(AlertDispatcher.parseDestinations('{"url": "http://localhost"}'), []);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BackfillEngine = require('../server/services/BackfillEngine');
+
+// Stores rounds in memory; epochs in `unavailable` never get stored, like unconfirmed or unfinished rounds
+function createEngine({ stored = [], unavailable = [], cursor = null }) {
+    const rounds = new Set(stored);
+    const state = { cursor };
+    const connectionManager = {
+        executeQuery: async (sql, params) => {
+            if (sql.includes('generate_series')) {
+                const [low, high] = params;
+                const rows = [];
+                for (let epoch = high; epoch >= low; epoch--) if (!rounds.has(epoch)) rows.push({ epoch: String(epoch) });
+                return { rows };
+            }
+            if (sql.startsWith('INSERT INTO backfill_cursor')) {
+                if (!state.cursor) state.cursor = { upper_epoch: params[1], next_epoch: params[1] };
+                return { rows: [] };
+            }
+            if (sql.startsWith('SELECT upper_epoch')) return { rows: [{ ...state.cursor }] };
+            if (sql.startsWith('UPDATE backfill_cursor')) {
+                state.cursor = { upper_epoch: params[1], next_epoch: params[2] };
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+    const crawler = {
+        connectionManager,
+        maxEpochFailures: 3,
+        processEpochData: async (epoch) => {
+            if (unavailable.includes(epoch)) return false;
+            rounds.add(epoch);
+            return true;
+        }
+    };
+    const engine = new BackfillEngine(crawler, { concurrency: 2, rangeSize: 10, minEpoch: 1 });
+    return { engine, state, rounds, unavailable };
+}
+
+test('the downward cursor stays above a range that still has missing epochs', async () => {
+    const { engine, state, rounds, unavailable } = createEngine({ unavailable: [15], cursor: { upper_epoch: 30, next_epoch: 30 } });
+    await engine.run(30);
+    assert.deepStrictEqual(state.cursor, { upper_epoch: 30, next_epoch: 20 });
+    assert.strictEqual(rounds.has(10), false);
+
+    unavailable.length = 0;
+    await engine.run(30);
+    assert.deepStrictEqual(state.cursor, { upper_epoch: 30, next_epoch: 0 });
+    assert.strictEqual(rounds.size, 30);
+});
+
+test('upper_epoch stops below the lowest new epoch that was not stored', async () => {
+    const { engine, state, unavailable } = createEngine({ unavailable: [38, 40], cursor: { upper_epoch: 30, next_epoch: 0 } });
+    await engine.run(40);
+    assert.deepStrictEqual(state.cursor, { upper_epoch: 37, next_epoch: 0 });
+
+    unavailable.length = 0;
+    await engine.run(40);
+    assert.deepStrictEqual(state.cursor, { upper_epoch: 40, next_epoch: 0 });
+});
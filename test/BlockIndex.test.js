@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BlockIndex = require('../server/services/BlockIndex');
+
+const T0 = 1700000000;
+
+// Block n has timestamp T0 + floor(n * 3 / 4) like BSC's 0.75s blocks, so most timestamps are shared by two blocks.
+// A ten-second stall after block 600 gives the interpolation an uneven chain to search.
+function createChain({ head = 1000, missingFrom = Infinity } = {}) {
+    const timestamp = (n) => T0 + Math.floor(n * 3 / 4) + (n > 600 ? 10 : 0);
+    return {
+        timestamp,
+        calls: 0,
+        async getBlockNumber() { return head; },
+        async getBlock(n) {
+            this.calls++;
+            return n > head || n >= missingFrom ? null : { number: n, hash: `0x${n}`, timestamp: timestamp(n) };
+        }
+    };
+}
+
+// block_anchor and epoch_block_range in memory, answering the queries BlockIndex issues
+function createDatabase(anchors = []) {
+    const db = { anchors: new Map(anchors), ranges: new Map(), writes: 0 };
+    db.executeQuery = async (sql, params) => {
+        if (sql.includes('FROM epoch_block_range')) {
+            const range = db.ranges.get(params[0]);
+            return { rows: range && range.start_timestamp === params[1] && range.end_timestamp === params[2] ? [range] : [] };
+        }
+        if (sql.includes('FROM block_anchor')) {
+            const sorted = [...db.anchors].map(([number, timestamp]) => ({ block_number: number, block_timestamp: timestamp }))
+                .sort((a, b) => a.block_timestamp - b.block_timestamp || a.block_number - b.block_number);
+            const lower = sorted.filter(row => row.block_timestamp < params[0]).pop();
+            const upper = sorted.find(row => row.block_timestamp >= params[0]);
+            return { rows: [lower && { ...lower, side: 'lower' }, upper && { ...upper, side: 'upper' }].filter(Boolean) };
+        }
+        db.writes++;
+        if (sql.startsWith('INSERT INTO block_anchor')) {
+            if (!db.anchors.has(params[0])) db.anchors.set(params[0], params[1]);
+        } else if (sql.startsWith('INSERT INTO epoch_block_range')) {
+            const [epoch, start, end, fromBlock, toBlock] = params;
+            db.ranges.set(epoch, { start_timestamp: start, end_timestamp: end, from_block: fromBlock, to_block: toBlock });
+        } else {
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+        return { rows: [] };
+    };
+    return db;
+}
+
+// The answer the search must give: the first block at or after the target
+function firstBlockAtOrAfter(chain, head, target) {
+    for (let n = 0; n <= head; n++) if (chain.timestamp(n) >= target) return n;
+    return null;
+}
+
+test('finds the first block at or after every timestamp, including timestamps shared by several blocks', async () => {
+    const chain = createChain();
+    const lastTimestamp = chain.timestamp(1000);
+    for (const warm of [false, true]) {
+        const db = createDatabase(); // With warm set, every lookup reuses the anchors the earlier ones stored
+        for (let target = T0 + 1; target <= lastTimestamp; target += 7) {
+            const index = new BlockIndex(warm ? db : createDatabase(), chain);
+            assert.strictEqual(await index.findBlockByTimestamp(target), firstBlockAtOrAfter(chain, 1000, target), `target ${target - T0}s, warm=${warm}`);
+        }
+    }
+});
+
+test('returns the earliest of several blocks that share the target timestamp', async () => {
+    const chain = createChain();
+    assert.strictEqual(chain.timestamp(404), chain.timestamp(405));
+    // Anchors on both sides of the tie, with the later tied block as the known upper bound
+    const db = createDatabase([[300, chain.timestamp(300)], [405, chain.timestamp(405)]]);
+    assert.strictEqual(await new BlockIndex(db, chain).findBlockByTimestamp(chain.timestamp(405)), 404);
+});
+
+test('a target before block 0 resolves to block 0', async () => {
+    const chain = createChain();
+    const db = createDatabase();
+    const index = new BlockIndex(db, chain);
+    assert.strictEqual(await index.findBlockByTimestamp(T0 - 3600), 0);
+    assert.strictEqual(await index.findBlockByTimestamp(T0), 0);
+    assert.deepStrictEqual(await index.getEpochBlockRange(1, T0 - 3600, T0 + 300), { fromBlock: 0, toBlock: 400 });
+    assert.strictEqual(db.ranges.get(1).from_block, 0);
+});
+
+test('a target past the head returns null and stores no block range', async () => {
+    const chain = createChain();
+    const db = createDatabase();
+    const index = new BlockIndex(db, chain);
+    assert.strictEqual(await index.findBlockByTimestamp(chain.timestamp(1000) + 1), null);
+    assert.strictEqual(await index.getEpochBlockRange(5, T0 + 300, chain.timestamp(1000) + 60), null);
+    assert.strictEqual(db.ranges.size, 0);
+});
+
+test('a block the node does not return yet bounds the search from above', async () => {
+    // The stored anchor at block 1000 came from a node that is ahead of the one answering now
+    const chain = createChain({ missingFrom: 900 });
+    const target = chain.timestamp(500);
+    const db = createDatabase([[1000, chain.timestamp(1000)]]);
+    assert.strictEqual(await new BlockIndex(db, chain).findBlockByTimestamp(target), firstBlockAtOrAfter(chain, 1000, target));
+    assert.ok(![...db.anchors.keys()].some(number => number >= 900 && number < 1000), 'no anchor is stored for a missing block');
+
+    // A head block the node cannot return yet means the target has not been reached
+    const lagging = createChain({ missingFrom: 1000 });
+    assert.strictEqual(await new BlockIndex(createDatabase(), lagging).findBlockByTimestamp(target), null);
+});
+
+test('persist: false resolves the range without writing anchors or the range, and cached ranges skip RPC', async () => {
+    const chain = createChain();
+    const db = createDatabase();
+    const index = new BlockIndex(db, chain);
+    assert.deepStrictEqual(await index.getEpochBlockRange(7, T0 + 300, T0 + 600, { persist: false }), { fromBlock: 400, toBlock: 787 });
+    assert.strictEqual(db.writes, 0);
+
+    assert.deepStrictEqual(await index.getEpochBlockRange(7, T0 + 300, T0 + 600), { fromBlock: 400, toBlock: 787 });
+    assert.ok(db.anchors.size > 0);
+    const calls = chain.calls;
+    assert.deepStrictEqual(await index.getEpochBlockRange(7, T0 + 300, T0 + 600), { fromBlock: 400, toBlock: 787 });
+    assert.strictEqual(chain.calls, calls);
+    assert.strictEqual(index.getStats().rangeCacheHits, 1);
+});
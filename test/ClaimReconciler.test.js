@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const ClaimReconciler = require('../server/services/ClaimReconciler');
+
+// Decimal string -> units of 1e-8, rounded half up the way a value is stored into a NUMERIC(20,8) column
+function toColumn(value) {
+    const [whole, fraction = ''] = value.split('.');
+    const digits = BigInt(whole + fraction.padEnd(8, '0').slice(0, 8));
+    return fraction.length > 8 && fraction[8] >= '5' ? digits + 1n : digits;
+}
+const fromColumn = (units) => ethers.formatUnits(units, 8);
+
+// enrichBets' payout and pnl expressions evaluated over the stored columns:
+//   TRUNC(h.amount * r.reward_amount / r.reward_base_cal_amount, 8), h.amount for refunds, pnl = payout - h.amount
+function enrichBetsPayout(amount, result, round) {
+    const storedAmount = toColumn(amount);
+    const rewardBase = toColumn(round.reward_base_cal_amount);
+    let payout = 0n;
+    if (result === 'WIN' && rewardBase > 0n) payout = (storedAmount * toColumn(round.reward_amount)) / rewardBase;
+    else if (result === 'REFUND') payout = storedAmount;
+    return { payout: fromColumn(payout), pnl: fromColumn(payout - storedAmount) };
+}
+
+const round = (rewardBaseCalAmount, rewardAmount) => ({ reward_base_cal_amount: rewardBaseCalAmount, reward_amount: rewardAmount });
+
+// Small deterministic generator so the cases are the same on every run
+function* amounts(seed, count, decimals) {
+    let state = seed;
+    for (let i = 0; i < count; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        const wei = BigInt(state) * 10n ** 9n + BigInt(state % 1000003);
+        yield ethers.formatUnits(wei - (wei % 10n ** BigInt(18 - decimals)), 18);
+    }
+}
+
+test('calculateBetPayout pays winners their share of the reward, refunds the amount and gives losers nothing', () => {
+    const rewards = round('3.0', '4.85');
+    assert.deepStrictEqual(ClaimReconciler.calculateBetPayout('1.5', 'WIN', rewards), { payout: '2.425', pnl: '0.925', claim_status: 'UNCLAIMED' });
+    assert.deepStrictEqual(ClaimReconciler.calculateBetPayout('0.7', 'REFUND', rewards), { payout: '0.7', pnl: '0.0', claim_status: 'UNCLAIMED' });
+    assert.deepStrictEqual(ClaimReconciler.calculateBetPayout('2.0', 'LOSS', rewards), { payout: '0.0', pnl: '-2.0', claim_status: null });
+    assert.deepStrictEqual(ClaimReconciler.calculateBetPayout('1.0', 'WIN', round('0.0', '0.0')), { payout: '0.0', pnl: '-1.0', claim_status: 'UNCLAIMED' });
+});
+
+test('payouts are truncated to 8 decimals, not rounded', () => {
+    // 4.85 / 3 = 1.616666...; rounding would store 1.61666667
+    assert.strictEqual(ClaimReconciler.calculateBetPayout('1.0', 'WIN', round('3.0', '4.85')).payout, '1.61666666');
+    assert.strictEqual(ClaimReconciler.calculateBetPayout('2.0', 'WIN', round('3.0', '4.0')).payout, '2.66666666');
+});
+
+test('the crawler and enrichBets compute the same payout and pnl for the same bet', () => {
+    const rounds = [round('3.0', '4.85'), round('12.34567891', '19.87654321'), round('0.33333333', '0.97'), round('7.0', '6.79')];
+    for (const rewards of rounds) {
+        for (const amount of amounts(rewards.reward_amount.length, 50, 8)) {
+            for (const result of ['WIN', 'LOSS', 'REFUND']) {
+                const { payout, pnl } = ClaimReconciler.calculateBetPayout(amount, result, rewards);
+                assert.deepStrictEqual({ payout, pnl }, enrichBetsPayout(amount, result, rewards), `${result} ${amount} in ${JSON.stringify(rewards)}`);
+            }
+        }
+    }
+});
+
+test('a winning claim reconciles against the computed payout within the default tolerance', () => {
+    const tolerance = toColumn(new ClaimReconciler(null).tolerance);
+    const rewardBase = ethers.parseEther('17.123456789012345678');
+    const reward = ethers.parseEther('31.987654321098765432');
+    const rewards = round(ethers.formatEther(rewardBase), ethers.formatEther(reward));
+    for (const amount of amounts(42, 200, 18)) {
+        // The contract pays in wei and the claim column rounds the Claim event's amount
+        const claimWei = (ethers.parseEther(amount) * reward) / rewardBase;
+        const claimAmount = toColumn(ethers.formatEther(claimWei));
+        const difference = claimAmount - toColumn(ClaimReconciler.calculateBetPayout(amount, 'WIN', rewards).payout);
+        assert.ok(difference >= 0n && difference <= tolerance, `bet ${amount}: claim ${fromColumn(claimAmount)} differs by ${difference} units`);
+    }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DataAuditor = require('../server/services/DataAuditor');
+const HistoricalCrawler = require('../server/workers/historical-crawler');
+
+// Epoch 100 covers blocks 1000-1010 and epoch 101 covers 1010-1020: block 1010 is in both ranges
+const ranges = [
+    { epoch: 101, has_round: true, from_block: 1010, to_block: 1020 },
+    { epoch: 100, has_round: true, from_block: 1000, to_block: 1010 }
+];
+const claim = (blockNumber, index) => ({
+    eventName: 'Claim',
+    args: { sender: '0xAbC0000000000000000000000000000000000001', epoch: 99n, amount: 10n ** 17n },
+    blockNumber,
+    blockHash: `0x${blockNumber}`,
+    transactionHash: `0x${blockNumber}${index}`,
+    index
+});
+const logs = [claim(1005, 0), claim(1010, 1), claim(1015, 2)];
+
+// Stores claims for an epoch the way the crawler does
+async function crawlClaims(range) {
+    const crawler = { getBlockTimestamp: async () => 1700000000 };
+    const inRange = logs.filter(log => log.blockNumber >= range.from_block && log.blockNumber <= range.to_block);
+    const claimData = [];
+    await HistoricalCrawler.prototype.processClaimEvents.call(crawler, inRange, claimData, range.epoch, range.to_block);
+    return claimData;
+}
+
+test('a claim in the shared boundary block is counted once, under the later epoch', () => {
+    const counts = DataAuditor.countClaimsByEpoch(ranges, logs);
+    assert.strictEqual(counts.get(100), 1);
+    assert.strictEqual(counts.get(101), 2);
+});
+
+test('the crawler stores a boundary-block claim under the later epoch whichever epoch is crawled first', async () => {
+    const [later, earlier] = [await crawlClaims(ranges[0]), await crawlClaims(ranges[1])];
+    assert.deepStrictEqual(later.map(row => row.block_number), [1010, 1015]);
+    assert.deepStrictEqual(earlier.map(row => row.block_number), [1005]);
+});
+
+test('the audit finds no CLAIM_COUNT mismatch for claims in the boundary block', async () => {
+    const auditor = new DataAuditor({
+        connectionManager: null,
+        retryRequest: operation => operation(),
+        chainSource: { getLogs: async (fromBlock, toBlock) => logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock) }
+    });
+    const counts = await auditor.countClaimLogs(ranges);
+    const round = { totalAmount: 0n, bullAmount: 0n, bearAmount: 0n, closeTimestamp: 1n };
+    for (const range of ranges) {
+        const stored = { ...range, total_amount: '0', up_amount: '0', down_amount: '0', up_sum: 0, down_sum: 0, up_count: 0, down_count: 0, claim_count: (await crawlClaims(range)).length };
+        assert.deepStrictEqual(auditor.compareEpoch(stored, round, counts.get(range.epoch)), []);
+    }
+});
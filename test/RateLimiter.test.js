@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { makeError } = require('ethers');
+const RateLimiter = require('../server/services/RateLimiter');
+
+// A private limiter so the process-wide one keeps its state
+function createLimiter(env = {}) {
+    const names = Object.keys(env);
+    const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    try {
+        return new RateLimiter.constructor();
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+// Errors shaped the way ethers v6 reports HTTP and JSON-RPC failures
+const httpError = (status) => makeError('server response', 'SERVER_ERROR', { info: { responseStatus: status } });
+const rpcError = (code, message) => makeError('could not coalesce error', 'UNKNOWN_ERROR', { error: { code, message } });
+
+test('classifyError separates rate limits, transient failures and permanent rejections', () => {
+    const limiter = createLimiter();
+    const cases = [
+        [httpError('429 Too Many Requests'), 'rate_limited'],
+        [rpcError(-32005, 'query returned more than 10000 results'), 'rate_limited'],
+        [rpcError(-32000, 'Limit exceeded for this key'), 'rate_limited'],
+        [new Error('capacity exceeded, try again later'), 'rate_limited'],
+
+        [httpError('503 Service Unavailable'), 'retryable'],
+        [makeError('request timeout', 'TIMEOUT'), 'retryable'],
+        [makeError('network error', 'NETWORK_ERROR'), 'retryable'],
+        [rpcError(-32000, 'header not found'), 'retryable'],
+        [rpcError(-32603, 'internal error'), 'retryable'],
+        [Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }), 'retryable'],
+        [new Error('something unexpected'), 'retryable'], // Unknown failures are retried rather than dropped
+
+        [makeError('execution reverted', 'CALL_EXCEPTION'), 'permanent'],
+        [makeError('invalid address', 'INVALID_ARGUMENT'), 'permanent'],
+        [makeError('could not decode result data', 'BAD_DATA'), 'permanent'],
+        [rpcError(-32601, 'the method eth_foo does not exist'), 'permanent'],
+        [rpcError(-32602, 'invalid argument 0'), 'permanent']
+    ];
+    for (const [error, expected] of cases) {
+        assert.strictEqual(limiter.classifyError(error), expected, error.message);
+    }
+});
+
+test('backoffDelay stays between half and all of the doubling ceiling, capped at the maximum', (t) => {
+    const limiter = createLimiter({ RPC_BACKOFF_BASE_MS: '500', RPC_BACKOFF_MAX_MS: '3000' });
+    const ceilings = { 1: 500, 2: 1000, 3: 2000, 4: 3000, 10: 3000 };
+
+    for (const [random, pick] of [[0, (ceiling) => ceiling / 2], [0.999999, (ceiling) => ceiling - 1]]) {
+        t.mock.method(Math, 'random', () => random);
+        for (const [attempt, ceiling] of Object.entries(ceilings)) {
+            assert.strictEqual(limiter.backoffDelay(Number(attempt)), pick(ceiling), `attempt ${attempt}, random ${random}`);
+        }
+        t.mock.restoreAll();
+    }
+
+    // Real jitter spreads retries across the whole window
+    const delays = Array.from({ length: 500 }, () => limiter.backoffDelay(3));
+    assert.ok(delays.every(delay => Number.isInteger(delay) && delay >= 1000 && delay < 2000));
+    assert.ok(Math.max(...delays) - Math.min(...delays) > 500);
+});
+
+test('execute retries transient failures with backoff and gives up at once on permanent ones', async (t) => {
+    const limiter = createLimiter({ RPC_BACKOFF_BASE_MS: '1', RPC_BACKOFF_MAX_MS: '5' });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    let calls = 0;
+    const result = await limiter.execute(async () => {
+        if (++calls < 3) throw httpError('502 Bad Gateway');
+        return 'ok';
+    }, { retries: 3 });
+    assert.deepStrictEqual([result, calls, limiter.stats.retries], ['ok', 3, 2]);
+
+    calls = 0;
+    await assert.rejects(limiter.execute(async () => {
+        calls++;
+        throw makeError('execution reverted', 'CALL_EXCEPTION');
+    }, { retries: 3 }), { code: 'CALL_EXCEPTION' });
+    assert.deepStrictEqual([calls, limiter.stats.permanentFailures], [1, 1]);
+});
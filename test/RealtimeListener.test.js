@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RealtimeListener = require('../server/workers/realtime-listener');
+
+// A listener with no chain or database: only the StartRound boundaries and a stub claim detector
+function createListener(currentEpoch) {
+    const listener = new RealtimeListener();
+    listener.pool = { epoch: currentEpoch };
+    listener.tracked = [];
+    listener.claimDetector = { trackClaim: (epoch, claim) => { listener.tracked.push([epoch, claim.block_number]); return null; } };
+    return listener;
+}
+
+const startRound = (epoch, blockNumber, removed = false) => ({ args: { epoch: BigInt(epoch) }, blockNumber, removed });
+const claimLog = (blockNumber, index = 0) => ({
+    args: { sender: `0x${'c'.repeat(40)}`, epoch: 90n, amount: 10n ** 17n }, transactionHash: `0xclaim${blockNumber}`, index, blockNumber, removed: false
+});
+
+test('claims belong to the epoch whose StartRound block is the last at or before theirs', () => {
+    const listener = createListener(101);
+    listener.recordRoundStart(100, 400);
+    listener.recordRoundStart(101, 800);
+
+    // Block 800 starts epoch 101, like the crawler's half-open block ranges
+    assert.deepStrictEqual([399, 400, 799, 800, 5000].map(block => listener.getClaimEpoch(block)), [null, 100, 100, 101, 101]);
+});
+
+test('replayed and removed StartRound logs move the boundaries by block number, whatever order they arrive in', async () => {
+    const listener = createListener(101);
+    await listener.handleStartRound(startRound(101, 800));
+    await listener.handleStartRound(startRound(100, 400)); // A backfill after a reconnect replays the older round
+    assert.deepStrictEqual(listener.roundStarts, [{ epoch: 100, blockNumber: 400 }, { epoch: 101, blockNumber: 800 }]);
+    assert.strictEqual(listener.getClaimEpoch(500), 100);
+
+    // A reorg drops 101's StartRound and mines it again two blocks later
+    await listener.handleStartRound(startRound(101, 800, true));
+    assert.strictEqual(listener.getClaimEpoch(801), 100);
+    await listener.handleStartRound(startRound(101, 802));
+    assert.deepStrictEqual([801, 802].map(block => listener.getClaimEpoch(block)), [100, 101]);
+});
+
+test('live claims are tracked under the epoch of their block, not the round being bet on', async () => {
+    const listener = createListener(101);
+    listener.recordRoundStart(100, 400);
+    listener.recordRoundStart(101, 800);
+
+    await listener.handleClaimEvent(claimLog(799));
+    await listener.handleClaimEvent(claimLog(800));
+    await listener.handleClaimEvent(claimLog(800)); // Delivered twice
+    await listener.handleClaimEvent(claimLog(300)); // Before any known StartRound: left to the crawler
+    assert.deepStrictEqual(listener.tracked, [[100, 799], [101, 800]]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChainDataSource, encodeFixtureLine, decodeFixtureLine } = require('../server/chain/ChainDataSource');
+const { ReplayChainSource, RecordingChainSource } = require('../server/chain');
+const HistoricalCrawler = require('../server/workers/historical-crawler');
+const BlockIndex = require('../server/services/BlockIndex');
+const BlockTimestampCache = require('../server/services/BlockTimestampCache');
+
+// test/fixtures/epoch_100.ndjson was recorded with RecordingChainSource from MemoryChain below: a synthetic chain
+// where block n has timestamp T0 + floor(n * 3 / 4), so neighbouring blocks share timestamps like BSC's 0.75s blocks
+const FIXTURE = path.join(__dirname, 'fixtures', 'epoch_100.ndjson');
+const T0 = 1700000000;
+const ether = (value) => BigInt(Math.round(value * 1e6)) * 10n ** 12n;
+const wallet = (n) => `0x${String(n).repeat(40)}`;
+
+class MemoryChain extends ChainDataSource {
+    constructor() {
+        super('memory');
+        const round = (epoch, fields) => ({
+            epoch: BigInt(epoch), startTimestamp: BigInt(T0 + (epoch - 99) * 300), lockTimestamp: BigInt(T0 + (epoch - 98) * 300),
+            closeTimestamp: BigInt(T0 + (epoch - 97) * 300), lockPrice: 0n, closePrice: 0n, lockOracleId: 0n, closeOracleId: 0n,
+            totalAmount: 0n, bullAmount: 0n, bearAmount: 0n, rewardBaseCalAmount: 0n, rewardAmount: 0n, oracleCalled: false, ...fields
+        });
+        this.rounds = {
+            100: round(100, {
+                lockPrice: 30000n * 10n ** 8n, closePrice: 30100n * 10n ** 8n, lockOracleId: 7n, closeOracleId: 8n,
+                totalAmount: ether(5), bullAmount: ether(3), bearAmount: ether(2), rewardBaseCalAmount: ether(3), rewardAmount: ether(4.85), oracleCalled: true
+            }),
+            101: round(101, {})
+        };
+        const log = (eventName, args, blockNumber, index) => ({
+            eventName, args, blockNumber, blockHash: `0xb${blockNumber}`, transactionHash: `0x${eventName.toLowerCase()}${blockNumber}${index}`, index, removed: false
+        });
+        this.logs = [
+            log('StartRound', { epoch: 100n }, 400, 0),
+            log('BetBull', { sender: wallet(1), epoch: 100n, amount: ether(1.5) }, 410, 1),
+            log('BetBull', { sender: wallet(2), epoch: 100n, amount: ether(1.5) }, 420, 2),
+            log('BetBear', { sender: wallet(3), epoch: 100n, amount: ether(2) }, 430, 3),
+            log('Claim', { sender: wallet(4), epoch: 98n, amount: ether(0.5) }, 500, 4),
+            // Block 800 starts epoch 101 and is shared with epoch 100's range
+            log('BetBull', { sender: wallet(5), epoch: 101n, amount: ether(1) }, 800, 5),
+            log('Claim', { sender: wallet(6), epoch: 99n, amount: ether(0.25) }, 800, 6)
+        ];
+        this.head = 2000;
+    }
+
+    async getRound(epoch) { return this.rounds[epoch]; }
+    async getLogs(fromBlock, toBlock) { return this.logs.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock); }
+    async getBlockNumber() { return this.head; }
+    async getBlock(blockNumber) {
+        return blockNumber > this.head ? null : { number: blockNumber, hash: `0xb${blockNumber}`, timestamp: T0 + Math.floor(blockNumber * 3 / 4) };
+    }
+}
+
+// An empty database: no cached block ranges, anchors or failed epochs, and nothing may be written
+function createCrawler(chainSource) {
+    const connectionManager = {
+        queries: [],
+        executeQuery: async (sql) => {
+            connectionManager.queries.push(sql);
+            return { rows: [] };
+        },
+        executeTransaction: async () => { throw new Error('Dry runs must not write'); }
+    };
+    const crawler = new HistoricalCrawler();
+    crawler.connectionManager = connectionManager;
+    crawler.chainSource = chainSource;
+    crawler.blockIndex = new BlockIndex(connectionManager, chainSource, (operation, operationName) => crawler.retryRequest(operation, operationName));
+    crawler.blockTimestamps = new BlockTimestampCache(connectionManager, chainSource, (operation, operationName) => crawler.retryRequest(operation, operationName));
+    return crawler;
+}
+
+test('encodeFixtureLine and decodeFixtureLine round-trip BigInt values exactly', () => {
+    const entry = {
+        kind: 'call', method: 'getRound', params: [100],
+        result: { epoch: 100n, totalAmount: 123456789012345678901234567890n, zero: 0n, negative: -5n, oracleCalled: true, nested: [{ amount: 2n ** 64n }] }
+    };
+    const line = encodeFixtureLine(entry);
+    assert.ok(!line.includes('\n'));
+    assert.deepStrictEqual(decodeFixtureLine(line), entry);
+});
+
+test('a replayed key returns its recorded answers in call order, then repeats the last', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'replay-')), 'calls.ndjson');
+    fs.writeFileSync(file, [
+        { kind: 'call', method: 'getCurrentEpoch', params: [], result: 100 },
+        { kind: 'call', method: 'getBlock', params: [5], result: { number: 5, timestamp: 1n } },
+        { kind: 'call', method: 'getCurrentEpoch', params: [], result: 101 },
+        { kind: 'call', method: 'getCurrentEpoch', params: [], result: 102 }
+    ].map(encodeFixtureLine).join('\n'));
+
+    const source = new ReplayChainSource(file);
+    assert.deepStrictEqual(await source.getBlock(5), { number: 5, timestamp: 1n });
+    assert.deepStrictEqual([await source.getCurrentEpoch(), await source.getCurrentEpoch(), await source.getCurrentEpoch(), await source.getCurrentEpoch()], [100, 101, 102, 102]);
+    await assert.rejects(source.getBlock(6), /no recording for getBlock:\[6\]/);
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('the committed fixture replays epoch 100 into its round, bets and claims', async () => {
+    const crawler = createCrawler(new ReplayChainSource(FIXTURE));
+    const preview = await crawler.processEpochData(100, { dryRun: true });
+
+    assert.deepStrictEqual([preview.fromBlock, preview.toBlock], [400, 800]);
+    assert.strictEqual(preview.round.epoch, 100);
+    assert.strictEqual(preview.round.result, 'UP');
+    assert.strictEqual(preview.round.lock_price, '30000.0');
+    assert.strictEqual(preview.round.close_price, '30100.0');
+    assert.strictEqual(preview.round.total_amount, '5');
+    assert.strictEqual(preview.round.treasury_fee, 300);
+    assert.strictEqual(preview.round.up_payout, '1.6166'); // 4.85 / 3, truncated like the per-bet payouts
+    assert.strictEqual(preview.round.down_payout, '2.4250');
+
+    // The epoch 101 bet in the shared block 800 belongs to the next epoch, and so does the claim beside it
+    assert.deepStrictEqual(preview.bets.map(bet => [bet.wallet_address, bet.bet_direction, bet.amount, bet.result, bet.payout, bet.block_number]), [
+        [wallet(1), 'UP', '1.5', 'WIN', '2.425', 410],
+        [wallet(2), 'UP', '1.5', 'WIN', '2.425', 420],
+        [wallet(3), 'DOWN', '2.0', 'LOSS', '0.0', 430]
+    ]);
+    assert.deepStrictEqual(preview.claims.map(claim => [claim.epoch, claim.wallet_address, claim.bet_epoch, claim.claim_amount, claim.block_number]), [
+        [100, wallet(4), 98, '0.5', 500]
+    ]);
+    assert.deepStrictEqual(preview.roundEvents.map(event => [event.epoch, event.event_type, event.block_number]), [[100, 'START', 400]]);
+    assert.ok(crawler.connectionManager.queries.every(sql => !/^\s*(INSERT|UPDATE|DELETE)/i.test(sql)));
+});
+
+test('an epoch recorded from a live source replays into the same rows', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'record-')), 'epoch.ndjson');
+    const recorder = new RecordingChainSource(new MemoryChain(), file);
+    const recorded = await createCrawler(recorder).processEpochData(100, { dryRun: true });
+    await recorder.close();
+
+    const replayed = await createCrawler(new ReplayChainSource(file)).processEpochData(100, { dryRun: true });
+    assert.deepStrictEqual(replayed, recorded);
+    assert.strictEqual(recorded.bets.length, 3);
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
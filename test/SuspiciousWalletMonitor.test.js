@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SuspiciousWalletMonitor = require('../server/services/SuspiciousWalletMonitor');
+
+const ALERT_SETTINGS = [
+    'ALERT_RULES', 'ALERT_WHALE_MIN_AMOUNT', 'ALERT_WHALE_POOL_SHARE', 'ALERT_WHALE_SEVERITY', 'ALERT_LAST_SECOND_WINDOW_SECONDS',
+    'ALERT_LAST_SECOND_MIN_AMOUNT', 'ALERT_LAST_SECOND_SEVERITY', 'ALERT_BLOCK_PILE_WALLETS', 'ALERT_BLOCK_PILE_SEVERITY'
+];
+
+// Builds a monitor from the given ALERT_* settings only; rules are evaluated without a database
+function createMonitor(env = {}) {
+    const saved = Object.fromEntries(ALERT_SETTINGS.map(name => [name, process.env[name]]));
+    ALERT_SETTINGS.forEach(name => delete process.env[name]);
+    Object.assign(process.env, env);
+    try {
+        return new SuspiciousWalletMonitor(null);
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+let nextLog = 0;
+const bet = (fields = {}) => ({
+    epoch: 100, wallet_address: '0xaaa', bet_direction: 'UP', amount: '1.0', tx_hash: `0xtx${nextLog}`, log_index: nextLog++, block_number: 1000, ...fields
+});
+const pool = (fields = {}) => ({ totalAmount: '10.0', upAmount: '6.0', downAmount: '4.0', lockTimestamp: 1700000300, ...fields });
+const rulesHit = (alerts) => alerts.map(alert => alert.rule_id);
+
+test('whale_bet fires at the minimum amount and pool share, not below either', () => {
+    const monitor = createMonitor({ ALERT_RULES: 'whale_bet' });
+    assert.deepStrictEqual(monitor.evaluate(bet({ amount: '0.99' }), { pool: pool({ totalAmount: '1.5' }) }), []);
+    assert.deepStrictEqual(monitor.evaluate(bet({ amount: '2.0' }), { pool: pool({ totalAmount: '8.01' }) }), []);
+    assert.deepStrictEqual(monitor.evaluate(bet({ amount: '2.0' }), { pool: null }), []);
+
+    const [alert] = monitor.evaluate(bet({ amount: '2.5', tx_hash: '0xwhale', log_index: 3 }), { pool: pool() });
+    assert.strictEqual(alert.rule_id, 'whale_bet');
+    assert.strictEqual(alert.severity, 'HIGH');
+    assert.strictEqual(alert.wallet_address, '0xaaa');
+    assert.strictEqual(alert.dedup_key, 'whale_bet:0xwhale_3');
+    assert.strictEqual(alert.evidence.poolShare, 0.25);
+});
+
+test('last_second_bet fires only inside the window before lockTimestamp', () => {
+    const monitor = createMonitor({ ALERT_RULES: 'last_second_bet', ALERT_LAST_SECOND_WINDOW_SECONDS: '5' });
+    const lockTimestamp = pool().lockTimestamp;
+    const at = (secondsBeforeLock, amount = '1.0') => rulesHit(monitor.evaluate(bet({ amount }), { pool: pool(), blockTimestamp: lockTimestamp - secondsBeforeLock }));
+
+    assert.deepStrictEqual(at(5), ['last_second_bet']);
+    assert.deepStrictEqual(at(0), ['last_second_bet']);
+    assert.deepStrictEqual(at(6), []);
+    assert.deepStrictEqual(at(-1), []); // Mined after lock: the contract rejects it anyway
+    assert.deepStrictEqual(at(2, '0.49'), []);
+    assert.deepStrictEqual(rulesHit(monitor.evaluate(bet(), { pool: pool(), blockTimestamp: null })), []);
+});
+
+test('block_pile fires once when the configured number of wallets bet one side in one block', () => {
+    const monitor = createMonitor({ ALERT_RULES: 'block_pile', ALERT_BLOCK_PILE_WALLETS: '3' });
+    const pile = (wallet, fields = {}) => monitor.evaluate(bet({ wallet_address: wallet, ...fields }), { pool: pool() });
+
+    assert.deepStrictEqual(pile('0x1'), []);
+    assert.deepStrictEqual(pile('0x1'), []); // The same wallet again is not another wallet
+    assert.deepStrictEqual(pile('0x2', { bet_direction: 'DOWN' }), []);
+    assert.deepStrictEqual(pile('0x3', { block_number: 1001 }), []);
+    assert.deepStrictEqual(pile('0x2'), []);
+
+    const [alert] = pile('0x3');
+    assert.strictEqual(alert.wallet_address, null);
+    assert.strictEqual(alert.dedup_key, 'block_pile:100_1000_UP');
+    assert.deepStrictEqual(alert.evidence.wallets, ['0x1', '0x2', '0x3']);
+    assert.strictEqual(alert.evidence.totalAmount, '3.00000000');
+    assert.deepStrictEqual(pile('0x4'), []);
+});
+
+test('each rule reports its configured severity, case-insensitively', () => {
+    const defaults = createMonitor();
+    assert.deepStrictEqual(defaults.rules.map(rule => [rule.id, rule.severity]), [['whale_bet', 'HIGH'], ['last_second_bet', 'MEDIUM'], ['block_pile', 'MEDIUM']]);
+
+    const monitor = createMonitor({ ALERT_WHALE_SEVERITY: 'low', ALERT_LAST_SECOND_SEVERITY: 'High', ALERT_BLOCK_PILE_SEVERITY: 'LOW' });
+    assert.deepStrictEqual(monitor.rules.map(rule => rule.severity), ['LOW', 'HIGH', 'LOW']);
+    const alerts = monitor.evaluate(bet({ amount: '5.0' }), { pool: pool(), blockTimestamp: pool().lockTimestamp - 1 });
+    assert.deepStrictEqual(alerts.map(alert => [alert.rule_id, alert.severity]), [['whale_bet', 'LOW'], ['last_second_bet', 'HIGH']]);
+});
+
+test('invalid severities fall back to the default and unknown rules are left out, with an error logged', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const monitor = createMonitor({ ALERT_RULES: 'whale_bet, insider_bet,block_pile', ALERT_WHALE_SEVERITY: 'CRITICAL' });
+
+    assert.deepStrictEqual(monitor.getStats().rules, ['whale_bet', 'block_pile']);
+    assert.strictEqual(monitor.config.whaleSeverity, 'HIGH');
+    const messages = errors.mock.calls.map(call => call.arguments.join(' '));
+    assert.ok(messages.some(message => message.includes('ALERT_WHALE_SEVERITY') && message.includes('using HIGH')), messages.join('\n'));
+    assert.ok(messages.some(message => message.includes('insider_bet')), messages.join('\n'));
+    assert.strictEqual(monitor.evaluate(bet({ amount: '5.0' }), { pool: pool() })[0].severity, 'HIGH');
+});
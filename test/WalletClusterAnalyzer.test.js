@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WalletClusterAnalyzer = require('../server/services/WalletClusterAnalyzer');
+
+// Scores arrive from pg as NUMERIC strings
+const pair = (walletA, walletB, score = '0.5000', coBets = 5) => ({ wallet_a: walletA, wallet_b: walletB, co_bets: coBets, score });
+const summary = (clusters) => clusters.map(cluster => [cluster.clusterNo, cluster.members, cluster.pairs.map(p => `${p.wallet_a}-${p.wallet_b}`)]);
+
+test('pairs that share a wallet merge transitively into one cluster', () => {
+    // a-b and c-d start as separate components and are joined by b-c
+    const clusters = WalletClusterAnalyzer.buildClusters([pair('0xa', '0xb'), pair('0xc', '0xd'), pair('0xb', '0xc'), pair('0xe', '0xf')]);
+    assert.deepStrictEqual(summary(clusters), [
+        [1, ['0xa', '0xb', '0xc', '0xd'], ['0xa-0xb', '0xb-0xc', '0xc-0xd']],
+        [2, ['0xe', '0xf'], ['0xe-0xf']]
+    ]);
+});
+
+test('pairs scoring below minScore neither link wallets nor appear in a cluster', () => {
+    const pairs = [pair('0xa', '0xb', '0.3000'), pair('0xb', '0xc', '0.2999'), pair('0xd', '0xe', '0.1000')];
+    assert.deepStrictEqual(summary(WalletClusterAnalyzer.buildClusters(pairs, 0.3)), [[1, ['0xa', '0xb'], ['0xa-0xb']]]);
+    assert.deepStrictEqual(WalletClusterAnalyzer.buildClusters(pairs, 0.9), []);
+});
+
+test('cluster numbers and member and pair order do not depend on the input order', () => {
+    const pairs = [
+        pair('0x5', '0x6'), pair('0x1', '0x2'), pair('0x3', '0x4'), pair('0x7', '0x9'), pair('0x2', '0x8'), pair('0x7', '0x8')
+    ];
+    const expected = [
+        [1, ['0x1', '0x2', '0x7', '0x8', '0x9'], ['0x1-0x2', '0x2-0x8', '0x7-0x8', '0x7-0x9']],
+        [2, ['0x3', '0x4'], ['0x3-0x4']], // Equal sizes are ordered by their first member
+        [3, ['0x5', '0x6'], ['0x5-0x6']]
+    ];
+    assert.deepStrictEqual(summary(WalletClusterAnalyzer.buildClusters(pairs)), expected);
+    assert.deepStrictEqual(summary(WalletClusterAnalyzer.buildClusters([...pairs].reverse())), expected);
+    assert.deepStrictEqual(summary(WalletClusterAnalyzer.buildClusters([pairs[4], pairs[0], pairs[5], pairs[2], pairs[1], pairs[3]])), expected);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebSocketHub = require('../server/services/WebSocketHub');
+
+// Stands in for a ws connection: commands go in through 'message', everything sent is kept parsed in `received`
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = WebSocket.OPEN;
+        this.received = [];
+    }
+
+    send(data) { this.received.push(JSON.parse(data)); }
+    ping() {}
+    terminate() { this.readyState = WebSocket.CLOSED; }
+    command(command) { this.emit('message', Buffer.from(typeof command === 'string' ? command : JSON.stringify(command))); }
+    take() { return this.received.splice(0); }
+}
+
+function createHub(t, env = {}) {
+    const saved = process.env.WS_RESUME_BUFFER_SIZE;
+    process.env.WS_RESUME_BUFFER_SIZE = env.WS_RESUME_BUFFER_SIZE || '1000';
+    t.mock.method(console, 'log', () => {});
+    const hub = new WebSocketHub(http.createServer(), { getSnapshot: () => ({ epoch: '100', bets: [] }) });
+    if (saved === undefined) delete process.env.WS_RESUME_BUFFER_SIZE;
+    else process.env.WS_RESUME_BUFFER_SIZE = saved;
+    t.after(() => hub.close());
+    return hub;
+}
+
+function connect(hub, ...subscriptions) {
+    const ws = new FakeSocket();
+    hub.handleConnection(ws);
+    for (const [channel, filters] of subscriptions) ws.command({ op: 'subscribe', channel, filters });
+    ws.take();
+    return ws;
+}
+
+const bet = (wallet, amount, direction) => [{ wallet_address: wallet, amount, bet_direction: direction }, { wallet, amount, direction }];
+const WALLET_A = `0x${'a'.repeat(40)}`;
+const WALLET_B = `0x${'b'.repeat(40)}`;
+
+test('every message is a { v, type, seq, ts, payload } envelope, starting with a snapshot on connect', (t) => {
+    const hub = createHub(t);
+    const ws = new FakeSocket();
+    hub.handleConnection(ws);
+    const [snapshot] = ws.take();
+    assert.deepStrictEqual(Object.keys(snapshot).sort(), ['payload', 'seq', 'ts', 'type', 'v']);
+    assert.strictEqual(snapshot.v, 1);
+    assert.strictEqual(snapshot.type, 'snapshot');
+    assert.strictEqual(snapshot.seq, null);
+    assert.ok(Math.abs(snapshot.ts - Date.now()) < 5000);
+    assert.deepStrictEqual(snapshot.payload, { streamId: hub.streamId, seq: 0, channels: ['bets', 'rounds', 'claims', 'alerts'], epoch: '100', bets: [] });
+
+    ws.command({ op: 'subscribe', channel: 'bets' });
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '1.0', 'UP'));
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '2.0', 'UP'));
+    const [subscribed, first, second] = ws.take();
+    assert.deepStrictEqual([subscribed.type, subscribed.seq, subscribed.payload], ['subscribed', null, { channel: 'bets', filters: {} }]);
+    assert.deepStrictEqual([first.type, first.seq, first.payload.amount, second.seq], ['bet', 1, '1.0', 2]);
+});
+
+test('channel messages reach only subscribers whose filters match', (t) => {
+    const hub = createHub(t);
+    const all = connect(hub, ['bets']);
+    const walletA = connect(hub, ['bets', { wallet: [WALLET_A.toUpperCase().replace('0X', '0x')] }], ['rounds', { wallet: WALLET_A }]);
+    const bigDown = connect(hub, ['bets', { minAmount: 1.5, direction: 'down' }]);
+    const roundsOnly = connect(hub, ['rounds']);
+
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '1.0', 'UP'));
+    hub.publish('bets', 'bet', ...bet(WALLET_B, '2.0', 'DOWN'));
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '1.5', 'DOWN'));
+    hub.publish('rounds', 'round_start', { epoch: '101' }); // No wallet, so a wallet filter lets it through
+
+    const seqs = (ws) => ws.take().map(message => message.seq);
+    assert.deepStrictEqual(seqs(all), [1, 2, 3]);
+    assert.deepStrictEqual(seqs(walletA), [1, 3, 4]);
+    assert.deepStrictEqual(seqs(bigDown), [2, 3]);
+    assert.deepStrictEqual(seqs(roundsOnly), [4]);
+
+    all.command({ op: 'unsubscribe', channel: 'bets' });
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '1.0', 'UP'));
+    assert.deepStrictEqual(all.take().map(message => message.type), ['unsubscribed']);
+});
+
+test('invalid commands get an error reply and change nothing', (t) => {
+    const hub = createHub(t);
+    const ws = connect(hub, ['bets']);
+    for (const command of ['not json', { op: 'subscribe', channel: 'prices' }, { op: 'subscribe', channel: 'bets', filters: { wallet: '0x123' } },
+        { op: 'subscribe', channel: 'bets', filters: { minAmount: -1 } }, { op: 'subscribe', channel: 'bets', filters: { direction: 'SIDEWAYS' } },
+        { op: 'unsubscribe', channel: 'claims' }, { op: 'dance' }]) {
+        ws.command(command);
+    }
+    const replies = ws.take();
+    assert.deepStrictEqual(replies.map(reply => reply.type), Array(7).fill('error'));
+    assert.match(replies[0].payload.error, /JSON/);
+    assert.strictEqual(hub.stats.invalidCommands, 7);
+    hub.publish('bets', 'bet', ...bet(WALLET_B, '0.1', 'UP'));
+    assert.strictEqual(ws.take().length, 1); // The original unfiltered subscription is intact
+});
+
+test('resume replays buffered messages after seq for the current subscriptions', (t) => {
+    const hub = createHub(t);
+    for (let i = 1; i <= 3; i++) hub.publish('bets', 'bet', ...bet(i % 2 ? WALLET_A : WALLET_B, '1.0', 'UP'));
+    hub.publish('rounds', 'round_lock', { epoch: '100' });
+    hub.publish('bets', 'bet', ...bet(WALLET_A, '1.0', 'UP'));
+
+    const ws = connect(hub, ['bets', { wallet: WALLET_A }]);
+    ws.command({ op: 'resume', streamId: hub.streamId, since: 1 });
+    const replies = ws.take();
+    assert.deepStrictEqual(replies.map(reply => [reply.type, reply.seq]), [['bet', 3], ['bet', 5], ['resumed', null]]);
+    assert.deepStrictEqual(replies[2].payload, { since: 1, replayed: 2, latestSeq: 5 });
+
+    ws.command({ op: 'resume', streamId: hub.streamId, since: 5 });
+    assert.deepStrictEqual(ws.take().map(reply => [reply.type, reply.payload.replayed]), [['resumed', 0]]);
+});
+
+test('a resume the buffer cannot cover fails so the client takes a new snapshot', (t) => {
+    const hub = createHub(t, { WS_RESUME_BUFFER_SIZE: '3' });
+    for (let i = 0; i < 6; i++) hub.publish('bets', 'bet', ...bet(WALLET_A, '1.0', 'UP'));
+    const ws = connect(hub, ['bets']);
+
+    // seq 4-6 are buffered, so resuming after 3 still works but after 2 would skip seq 3
+    ws.command({ op: 'resume', streamId: hub.streamId, since: 3 });
+    assert.deepStrictEqual(ws.take().map(reply => reply.seq), [4, 5, 6, null]);
+
+    const failed = { streamId: hub.streamId, oldestSeq: 4, latestSeq: 6 };
+    for (const command of [{ since: 2 }, { since: 7 }, { since: '4' }, { streamId: 'restarted-server', since: 5 }]) {
+        ws.command({ op: 'resume', streamId: hub.streamId, ...command });
+        assert.deepStrictEqual(ws.take().map(reply => [reply.type, reply.payload]), [['resume_failed', failed]], JSON.stringify(command));
+    }
+    assert.strictEqual(hub.stats.resumeGaps, 4);
+
+    ws.command({ op: 'snapshot' });
+    const [snapshot] = ws.take();
+    assert.deepStrictEqual([snapshot.type, snapshot.payload.streamId, snapshot.payload.seq], ['snapshot', hub.streamId, 6]);
+});